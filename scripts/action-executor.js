@@ -3,39 +3,93 @@
  */
 
 import { MODULE_ID, debugLog } from './main.js';
-import { ActionType, ConditionType } from './action-queue.js';
+import { ActionQueueItem, ActionType, ConditionType, BranchTarget } from './action-queue.js';
+import { TurnBudget } from './turn-budget.js';
+import { TAMHook, callHook, callAllHook } from './module-hooks.js';
+import { ExecutionControl, ExecutionState, ExecutionAbortedError } from './execution-control.js';
+import {
+  parseConditionExpression,
+  evaluateConditionExpression,
+  getFunctionConditionType
+} from './condition-expression.js';
+
+/**
+ * Maximum times a single action may run in one turn before the loop guard stops the queue
+ */
+const MAX_VISITS_PER_ACTION = 5;
+
+/**
+ * How automated turns that overlap are run
+ */
+export const TurnConcurrency = {
+  SEQUENTIAL: 'sequential', // One at a time; waiting turns run in the order they started
+  INITIATIVE: 'initiative', // One at a time; waiting turns run in initiative order
+  PARALLEL: 'parallel'      // Side by side; item use is still resolved one at a time
+};
 
 export class ActionExecutor {
   constructor() {
-    this.executing = false;
-    this.currentWorkflow = null;
+    this.workflows = new Map(); // Token ID -> workflow of a turn in progress
+    this.pending = []; // Turns waiting to run: {token, actions, options, queuedAt, resolve}
+    this.itemLock = Promise.resolve(); // Settles when the last queued item use is done
+    this.itemLockHolder = null; // Workflow whose item use holds the lock
+    this.lastTrace = null;
+    this.budgets = new Map(); // Token ID -> TurnBudget
+    this.reactions = new Set(); // Workflows of reactions in progress
+  }
+  
+  /**
+   * Whether any automated turn is running on this client
+   * @returns {boolean}
+   */
+  get executing() {
+    return this.workflows.size > 0;
+  }
+  
+  /**
+   * The most recently started turn still running
+   * @returns {Object|null}
+   */
+  get currentWorkflow() {
+    return Array.from(this.workflows.values()).at(-1) ?? null;
   }
   
   /**
    * Initialize combat turn hooks
    */
   init() {
-    // Hook into combat turn
-    Hooks.on('combatTurn', this.onCombatTurn.bind(this));
+    // Hook into combat turn changes; unlike combatTurn, this fires on every client
+    Hooks.on('combatTurnChange', this.onCombatTurn.bind(this));
+    
+    // Turn budgets and waiting turns only live for the duration of a combat
+    Hooks.on('deleteCombat', () => {
+      this.budgets.clear();
+      this.cancelPending();
+    });
     
     debugLog('Action Executor initialized');
   }
   
   /**
-   * Handle combat turn event
+   * Handle a combat turn change
+   * @param {Combat} combat - The combat
+   * @param {Object} prior - {round, turn, combatantId} before the change
+   * @param {Object} current - {round, turn, combatantId} after the change
    */
-  async onCombatTurn(combat, updateData, options) {
-    // Check if it's a new turn (not just round update)
-    if (!updateData.turn) return;
+  async onCombatTurn(combat, prior, current) {
+    if (combat !== game.combat || !combat.started) return;
     
-    const combatant = combat.combatant;
+    const combatant = combat.combatants.get(current.combatantId);
     if (!combatant) return;
     
     const token = combatant.token?.object;
     if (!token) return;
     
-    // Check if user controls this token or is GM
-    if (!token.isOwner && !game.user.isGM) return;
+    // A new turn restores the action, bonus action, reaction and movement
+    this.resetBudget(token);
+    
+    // Exactly one client runs each combatant: its active owner, else the GM
+    if (!game.tokenAutomation.executionAuthority.isExecutor(token)) return;
     
     // Check if action queue is enabled
     const queueManager = game.tokenAutomation?.actionQueueManager;
@@ -43,130 +97,799 @@ export class ActionExecutor {
     
     if (!queueManager.isQueueEnabled(token)) return;
     
-    // Get enabled actions
-    const actions = queueManager.getEnabledActions(token);
+    // Get enabled actions; triggered reactions only run off-turn
+    const actions = queueManager.getTurnActions(token);
     
     if (actions.length === 0) return;
     
-    debugLog(`Executing ${actions.length} actions for ${token.name}`);
+    // Owners who approve their turns see the plan first, and may change or skip it. They
+    // approve the queue as listeners (summon orders) have adjusted it, so that is what runs.
+    const approval = game.tokenAutomation.turnApproval;
+    if (!approval?.enabled) {
+      debugLog(`Executing ${actions.length} actions for ${token.name}`);
+      await this.executeQueue(token, actions);
+      return;
+    }
+    
+    const prepared = this.prepareQueue(token, actions);
+    if (!prepared) return;
+    
+    const approved = await approval.request(token, prepared.queue, { combat, combatant });
+    if (!approved) return;
+    
+    debugLog(`Executing ${approved.length} actions for ${token.name}`);
+    await this.executeQueue(token, approved, { stepping: prepared.options.stepping, prepared: true });
+  }
+  
+  /**
+   * Execute a queue of actions, or wait for a turn already running to finish first.
+   * Turns that overlap (group initiative, shared-turn summons, a quick Next Turn) follow
+   * the Overlapping Automated Turns setting; a token never runs two turns at once.
+   * @param {Token} token - The acting token
+   * @param {Array<ActionQueueItem>} actions - Sorted, enabled actions
+   * @param {Object} options
+   * @param {boolean} options.stepping - Wait for stepExecution() before each action
+   * @param {boolean} options.prepared - The actions already went through prepareQueue()
+   * @returns {Promise<void>} Settles when the turn has run or was cancelled
+   */
+  async executeQueue(token, actions, options = {}) {
+    if (this.workflows.has(token.id) || this.pending.some(turn => turn.token.id === token.id)) {
+      debugLog(`${token.name} already has an automated turn running or waiting, skipping`);
+      return;
+    }
+    
+    const policy = game.settings.get(MODULE_ID, 'turnConcurrency');
+    if (this.executing && policy !== TurnConcurrency.PARALLEL) {
+      await new Promise(resolve => {
+        this.pending.push({ token, actions, options, queuedAt: Date.now(), resolve });
+        debugLog(`${token.name} waits for ${this.pending.length} turn(s) to finish`);
+        this.publishPending();
+      });
+      return;
+    }
+    
+    await this.runQueue(token, actions, options);
+  }
+  
+  /**
+   * Let tam.preExecuteQueue listeners reorder or drop actions, change stepping, or skip the turn
+   * @param {Token} token - The acting token
+   * @param {Array<ActionQueueItem>} actions - Sorted, enabled actions; not modified
+   * @param {Object} options - See executeQueue()
+   * @returns {Object|null} {queue, options}, or null when a listener skipped the turn
+   */
+  prepareQueue(token, actions, options = {}) {
+    const queue = [...actions];
+    const queueOptions = { stepping: options.stepping ?? game.settings.get(MODULE_ID, 'stepMode') };
+    if (!callHook(TAMHook.PRE_EXECUTE_QUEUE, token, queue, queueOptions)) return null;
+    return { queue, options: queueOptions };
+  }
+  
+  /**
+   * Run a queue of actions in its own workflow.
+   *
+   * Every await goes through the workflow's ExecutionControl, so pauseExecution(),
+   * stepExecution() and stopExecution() take effect between and during actions.
+   * @param {Token} token - The acting token
+   * @param {Array<ActionQueueItem>} actions - Sorted, enabled actions
+   * @param {Object} options - See executeQueue()
+   */
+  async runQueue(token, actions, options = {}) {
+    const prepared = options.prepared
+      ? { queue: [...actions], options: { stepping: options.stepping ?? game.settings.get(MODULE_ID, 'stepMode') } }
+      : this.prepareQueue(token, actions, options);
+    if (!prepared) {
+      this.startNextTurn();
+      return;
+    }
+    
+    const { queue } = prepared;
+    const workflow = this.createWorkflow(token, queue, { stepping: prepared.options.stepping });
+    this.workflows.set(token.id, workflow);
+    this.publishStatus(workflow);
     
-    // Execute the action queue
-    await this.executeQueue(token, actions);
+    const { trace } = workflow;
+    
+    try {
+      await this.walkQueue(workflow);
+      
+      const executed = trace.filter(entry => entry.status === 'executed').length;
+      ui.notifications.info(game.i18n.format('TAM.Notifications.ActionsExecuted', {
+        name: token.name,
+        count: executed
+      }));
+      
+    } catch (error) {
+      if (error instanceof ExecutionAbortedError) {
+        const { action, step } = workflow.cursor;
+        if (action) trace.push(this.createTraceEntry(step, action, 'aborted', { reason: 'Stopped by user' }));
+        ui.notifications.warn(game.i18n.format('TAM.Notifications.ExecutionAborted', { name: token.name }));
+      } else {
+        console.error('Token Automation Manager | Error executing action queue:', error);
+        ui.notifications.error('TAM.Notifications.ActionExecutionError');
+      }
+    } finally {
+      this.lastTrace = {
+        tokenId: token.id,
+        tokenName: token.name,
+        combatId: game.combat?.id ?? null,
+        round: game.combat?.round ?? null,
+        turn: game.combat?.turn ?? null,
+        entries: trace
+      };
+      debugLog(`Execution trace for ${token.name}:`, this.lastTrace);
+      game.tokenAutomation.automationLog?.recordTurn(token, this.lastTrace);
+      
+      this.workflows.delete(token.id);
+      this.publishStatus(workflow, workflow.control.aborted ? 'aborted' : 'finished');
+      callAllHook(TAMHook.POST_EXECUTE_QUEUE, token, this.lastTrace);
+      this.startNextTurn();
+    }
   }
   
   /**
-   * Execute a queue of actions
+   * Start the next waiting turn once nothing is running
    */
-  async executeQueue(token, actions) {
-    if (this.executing) {
-      debugLog('Already executing actions, skipping');
+  startNextTurn() {
+    if (this.executing || !this.pending.length) return;
+    
+    // Waiting turns follow the combat order from the current turn on; others come last
+    if (game.settings.get(MODULE_ID, 'turnConcurrency') === TurnConcurrency.INITIATIVE && game.combat) {
+      const { turns, turn } = game.combat;
+      const order = pending => {
+        const index = turns.findIndex(c => c.tokenId === pending.token.id);
+        return index === -1 ? Infinity : (index - turn + turns.length) % turns.length;
+      };
+      this.pending.sort((a, b) => order(a) - order(b) || a.queuedAt - b.queuedAt);
+    }
+    
+    const next = this.pending.shift();
+    this.publishPending();
+    
+    // The token may have left the scene while it waited
+    if (!canvas.tokens?.get(next.token.id)) {
+      debugLog(`${next.token.name} is gone, dropping its waiting turn`);
+      game.tokenAutomation.executionAuthority?.publishStatus(next.token, { state: 'aborted' });
+      next.resolve();
+      this.startNextTurn();
       return;
     }
     
-    this.executing = true;
-    this.currentWorkflow = {
+    this.runQueue(next.token, next.actions, next.options).finally(next.resolve);
+  }
+  
+  /**
+   * Drop waiting turns without running them
+   * @param {string} [tokenId] - Only drop this token's turn
+   */
+  cancelPending(tokenId = null) {
+    const cancelled = this.pending.filter(turn => !tokenId || turn.token.id === tokenId);
+    if (!cancelled.length) return;
+    
+    this.pending = this.pending.filter(turn => !cancelled.includes(turn));
+    for (const turn of cancelled) {
+      debugLog(`Cancelled waiting turn of ${turn.token.name}`);
+      game.tokenAutomation.executionAuthority?.publishStatus(turn.token, { state: 'aborted' });
+      turn.resolve();
+    }
+    this.publishPending();
+  }
+  
+  /**
+   * Show waiting turns, with their place in line, in the execution status panel
+   */
+  publishPending() {
+    this.pending.forEach((turn, index) => {
+      game.tokenAutomation.executionAuthority?.publishStatus(turn.token, {
+        state: 'queued',
+        action: game.i18n.format('TAM.Status.Position', { position: index + 1 }),
+        step: 0,
+        executed: 0
+      });
+    });
+  }
+  
+  /**
+   * Simulate a turn without changing anything: no document updates, rolls or targeting.
+   * Conditions, target selection, destinations and the turn budget are resolved against
+   * the current board, with the token treated as standing where its planned moves end.
+   * @param {Token} token - The token to plan for
+   * @param {Array<ActionQueueItem>} [actions] - Actions to plan; defaults to the token's turn actions
+   * @param {Object} options
+   * @param {string} options.assume - Outcome assumed for rolls: 'success' (hits, failed saves) or 'failure'
+   * @returns {Promise<Object>} Plan of shape {tokenId, tokenName, assume, steps, budget}
+   */
+  async planQueue(token, actions = null, options = {}) {
+    const { assume = 'success' } = options;
+    actions ??= game.tokenAutomation.actionQueueManager.getTurnActions(token);
+    
+    const workflow = this.createWorkflow(token, actions);
+    workflow.dryRun = true;
+    workflow.assume = assume;
+    workflow.budget = TurnBudget.forToken(token);
+    workflow.context.position = { x: token.document.x, y: token.document.y };
+    workflow.context.token = this.createPlanningToken(token, workflow.context.position);
+    
+    await this.walkQueue(workflow);
+    
+    const plan = {
+      tokenId: token.id,
+      tokenName: token.name,
+      assume,
+      steps: workflow.trace,
+      budget: workflow.budget.toObject()
+    };
+    debugLog(`Planned turn for ${token.name}:`, plan);
+    return plan;
+  }
+  
+  /**
+   * Wrap a token so position reads reflect a planned position instead of the canvas
+   * @param {Token} token - The real token
+   * @param {Object} position - Mutable {x, y} in canvas pixels
+   * @returns {Token}
+   */
+  createPlanningToken(token, position) {
+    return new Proxy(token, {
+      get(target, property) {
+        switch (property) {
+          case 'x':
+            return position.x;
+          case 'y':
+            return position.y;
+          case 'center':
+            return { x: position.x + target.w / 2, y: position.y + target.h / 2 };
+          default:
+            return Reflect.get(target, property);
+        }
+      }
+    });
+  }
+  
+  /**
+   * Walk a workflow's actions as a flow graph.
+   *
+   * Execution starts at the first action and, after each action, jumps to its
+   * onSuccess/onFailure target (any action ID, or BranchTarget.END); results that report a
+   * hit branch on the hit, so a missed attack takes onFailure. Without a jump it
+   * falls through to the next action in order, skipping actions that are only reachable
+   * through a forward branch. Dry-run workflows simulate actions instead of executing them.
+   * @param {Object} workflow - Workflow from createWorkflow()
+   */
+  async walkQueue(workflow) {
+    const { token, actions, trace, control, budget } = workflow;
+    const branchOnly = this.getBranchOnlyActions(actions);
+    const maxSteps = game.settings.get(MODULE_ID, 'maxActionSteps');
+    const visits = new Map();
+    const cursor = workflow.cursor;
+    
+    let action = this.getFallThroughAction(actions, -1, branchOnly);
+    
+    while (action) {
+      cursor.action = action;
+      
+      // Loop guards: total steps per turn and visits per action
+      const visitCount = (visits.get(action.id) || 0) + 1;
+      if (cursor.step >= maxSteps || visitCount > MAX_VISITS_PER_ACTION) {
+        const reason = cursor.step >= maxSteps ? 'Step limit reached' : `Action visited ${visitCount} times`;
+        trace.push(this.createTraceEntry(cursor.step, action, 'halted', { reason }));
+        console.warn(`Token Automation Manager | Loop guard stopped queue for ${token.name}: ${reason}`);
+        break;
+      }
+      visits.set(action.id, visitCount);
+      
+      // Pause and single-step wait here, before anything about the action is evaluated
+      if (control.state === ExecutionState.STEPPING && control.stepsAllowed === 0) {
+        ui.notifications.info(game.i18n.format('TAM.Notifications.WaitingForStep', {
+          name: token.name,
+          action: action.name
+        }));
+      }
+      this.publishStatus(workflow);
+      await control.waitForStep();
+      const step = ++cursor.step;
+      
+      // Check if action should execute
+      if (!await control.guard(this.shouldExecute(action, workflow))) {
+        debugLog(`Skipping action ${action.name} - condition not met`);
+        const next = this.getFallThroughAction(actions, actions.indexOf(action), branchOnly);
+        trace.push(this.createTraceEntry(step, action, 'skipped', {
+          reason: 'Condition not met',
+          next: next?.id ?? null
+        }));
+        action = next;
+        continue;
+      }
+      
+      // Round windows, cooldowns and per-combat use limits
+      const schedule = game.tokenAutomation.actionScheduler.check(action, token);
+      if (!schedule.allowed) {
+        debugLog(`Skipping action ${action.name} - ${schedule.reason}`);
+        const next = this.getFallThroughAction(actions, actions.indexOf(action), branchOnly);
+        trace.push(this.createTraceEntry(step, action, 'skipped', {
+          reason: schedule.reason,
+          next: next?.id ?? null
+        }));
+        action = next;
+        continue;
+      }
+      
+      // Check the turn budget (action, bonus action, reaction, movement)
+      const cost = action.getCost();
+      if (!budget.canAfford(cost)) {
+        debugLog(`Skipping action ${action.name} - no ${cost} remaining`);
+        const next = this.getFallThroughAction(actions, actions.indexOf(action), branchOnly);
+        trace.push(this.createTraceEntry(step, action, 'skipped', {
+          reason: `No ${cost} remaining`,
+          next: next?.id ?? null
+        }));
+        action = next;
+        continue;
+      }
+      
+      // Other modules can adjust or veto the action
+      const hookContext = this.createHookContext(workflow, step);
+      if (!callHook(TAMHook.PRE_EXECUTE_ACTION, token, action, hookContext)) {
+        const next = this.getFallThroughAction(actions, actions.indexOf(action), branchOnly);
+        trace.push(this.createTraceEntry(step, action, 'skipped', {
+          reason: 'Cancelled by a module',
+          next: next?.id ?? null
+        }));
+        action = next;
+        continue;
+      }
+      
+      // Execute the action
+      const result = workflow.dryRun
+        ? await this.simulateAction(action, workflow)
+        : await control.guard(this.executeExclusive(action, workflow));
+      callAllHook(TAMHook.POST_EXECUTE_ACTION, token, action, result, hookContext);
+      
+      // Only successful actions use up the budget and count towards their schedule
+      if (result.success) budget.spend(cost, result.distance ?? 0);
+      if (result.success && !workflow.dryRun) await game.tokenAutomation.actionScheduler.recordUse(action, token);
+      if (!workflow.dryRun) await game.tokenAutomation.blackboard.recordAction(action, token, result);
+      
+      // Store result
+      workflow.results.set(action.id, result);
+      workflow.history.push({ actionId: action.id, result });
+      
+      // End Turn stops the flow regardless of branches
+      const next = action.type === ActionType.END_TURN
+        ? null
+        : this.getNextAction(actions, action, result, branchOnly);
+      
+      trace.push(this.createTraceEntry(step, action, workflow.dryRun ? 'planned' : 'executed', {
+        success: result.success,
+        reason: result.error || result.message || null,
+        target: result.targetName ?? null,
+        destination: result.destination ?? null,
+        hit: result.hit ?? null,
+        damage: result.damage ?? null,
+        next: next?.id ?? null
+      }));
+      
+      action = next;
+      
+      // Small delay between actions
+      if (action && !workflow.dryRun) await control.sleep(500);
+    }
+  }
+  
+  /**
+   * Create the execution state for a run of actions
+   * @param {Token} token - The acting token
+   * @param {Array<ActionQueueItem>} actions - Actions to run
+   * @param {Object} options - ExecutionControl options
+   * @returns {Object}
+   */
+  createWorkflow(token, actions, options = {}) {
+    return {
       token,
       actions,
+      control: new ExecutionControl(options),
+      cursor: { action: null, step: 0 }, // Action being walked, for trace entries on abort
+      dryRun: false,
       results: new Map(),
+      history: [], // Results in execution order, including repeated actions
+      trace: [],
+      budget: this.getBudget(token),
       context: {
         actor: token.actor,
         token: token,
         combat: game.combat
       }
     };
+  }
+  
+  /**
+   * Show a run's progress to the token's owners and the GMs
+   * @param {Object} workflow - The running workflow
+   * @param {string} state - ExecutionState value, 'finished' or 'aborted'
+   */
+  publishStatus(workflow, state = workflow.control.state) {
+    if (workflow.dryRun) return;
+    game.tokenAutomation.executionAuthority?.publishStatus(workflow.token, {
+      state,
+      action: workflow.cursor.action?.name ?? null,
+      step: workflow.cursor.step,
+      executed: workflow.trace.filter(entry => entry.status === 'executed').length
+    });
+  }
+  
+  /**
+   * Data passed to action hooks alongside the token and action
+   * @param {Object} workflow - The running workflow
+   * @param {number} step - Step number within the turn
+   * @returns {Object} {dryRun, step, round, results, budget}
+   */
+  createHookContext(workflow, step) {
+    return {
+      dryRun: workflow.dryRun,
+      step,
+      round: workflow.context.combat?.round ?? null,
+      results: workflow.results,
+      budget: workflow.budget
+    };
+  }
+  
+  /**
+   * Execute a triggered reaction outside the turn flow.
+   * Reactions run in their own workflow, so they can interrupt another token's queue, but
+   * their item use waits for the lock like a turn's, so they never retarget an attack in progress.
+   * @param {Token} token - The reacting token
+   * @param {ActionQueueItem} action - The REACTION entry
+   * @param {Token|null} triggerToken - The token that provoked the reaction; the default target
+   * @returns {Promise<Object|null>} The result, or null if the reaction did not run
+   */
+  async executeReaction(token, action, triggerToken = null) {
+    const workflow = this.createWorkflow(token, [action]);
+    const { control } = workflow;
+    const cost = action.getCost();
     
+    if (!workflow.budget.canAfford(cost)) {
+      debugLog(`Reaction ${action.name} skipped - no ${cost} remaining for ${token.name}`);
+      return null;
+    }
+    
+    const schedule = game.tokenAutomation.actionScheduler.check(action, token);
+    if (!schedule.allowed) {
+      debugLog(`Reaction ${action.name} skipped - ${schedule.reason}`);
+      return null;
+    }
+    
+    if (!callHook(TAMHook.PRE_EXECUTE_REACTION, token, action, triggerToken)) return null;
+    
+    this.reactions.add(workflow);
     try {
-      for (const action of actions) {
-        // Check if action should execute
-        if (!await this.shouldExecute(action)) {
-          debugLog(`Skipping action ${action.name} - condition not met`);
-          continue;
-        }
-        
-        // Execute the action
-        const result = await this.executeAction(action);
-        
-        // Store result
-        this.currentWorkflow.results.set(action.id, result);
-        
-        // Handle conditional branching
-        if (result.success && action.onSuccess) {
-          const nextAction = actions.find(a => a.id === action.onSuccess);
-          if (nextAction) {
-            await this.executeAction(nextAction);
-          }
-        } else if (!result.success && action.onFailure) {
-          const nextAction = actions.find(a => a.id === action.onFailure);
-          if (nextAction) {
-            await this.executeAction(nextAction);
-          }
-        }
-        
-        // Small delay between actions
-        await new Promise(resolve => setTimeout(resolve, 500));
+      if (!await control.guard(this.shouldExecute(action, workflow))) {
+        debugLog(`Reaction ${action.name} skipped - condition not met`);
+        return null;
       }
       
-      ui.notifications.info(game.i18n.format('TAM.Notifications.ActionsExecuted', {
-        name: token.name,
-        count: actions.length
-      }));
+      // Aim at the provoking token unless the entry names its own target
+      const reaction = triggerToken && !action.data?.targetId
+        ? ActionQueueItem.fromObject({ ...action.toObject(), data: { ...action.data, targetId: triggerToken.id } })
+        : action;
+      
+      // A reaction to the attack holding the lock runs inside it: that attack waits for the
+      // answer, and its targets were taken when it started
+      const nested = triggerToken && this.itemLockHolder?.token.id === triggerToken.id;
+      const run = nested ? this.executeAction(reaction, workflow) : this.executeExclusive(reaction, workflow);
+      const result = await control.guard(run);
+      if (result.success) {
+        workflow.budget.spend(cost);
+        await game.tokenAutomation.actionScheduler.recordUse(action, token);
+      }
+      await game.tokenAutomation.blackboard.recordAction(action, token, result);
       
+      debugLog(`Reaction ${action.name} for ${token.name}:`, result);
+      game.tokenAutomation.automationLog?.recordTurn(token, {
+        tokenId: token.id,
+        tokenName: token.name,
+        combatId: game.combat?.id ?? null,
+        round: game.combat?.round ?? null,
+        turn: game.combat?.turn ?? null,
+        reaction: true,
+        entries: [this.createTraceEntry(1, action, 'executed', {
+          success: result.success,
+          reason: result.error || result.message || null,
+          target: result.targetName ?? null,
+          hit: result.hit ?? null,
+          damage: result.damage ?? null
+        })]
+      });
+      return result;
     } catch (error) {
-      console.error('Token Automation Manager | Error executing action queue:', error);
-      ui.notifications.error('TAM.Notifications.ActionExecutionError');
+      if (error instanceof ExecutionAbortedError) {
+        debugLog(`Reaction ${action.name} for ${token.name} aborted`);
+        return null;
+      }
+      throw error;
     } finally {
-      this.executing = false;
-      this.currentWorkflow = null;
+      this.reactions.delete(workflow);
+    }
+  }
+  
+  /**
+   * Get the IDs of actions that are only entered through a forward branch.
+   * Backward jumps (loops) do not remove their target from the linear flow.
+   * @param {Array<ActionQueueItem>} actions - Sorted actions
+   * @returns {Set<string>}
+   */
+  getBranchOnlyActions(actions) {
+    const branchOnly = new Set();
+    
+    actions.forEach((action, index) => {
+      for (const targetId of [action.onSuccess, action.onFailure]) {
+        if (!targetId || targetId === BranchTarget.END) continue;
+        
+        const targetIndex = actions.findIndex(a => a.id === targetId);
+        if (targetIndex > index) branchOnly.add(targetId);
+      }
+    });
+    
+    return branchOnly;
+  }
+  
+  /**
+   * Get the next action in order after an index, ignoring branch-only actions
+   * @param {Array<ActionQueueItem>} actions - Sorted actions
+   * @param {number} index - Index of the current action
+   * @param {Set<string>} branchOnly - Branch-only action IDs
+   * @returns {ActionQueueItem|null}
+   */
+  getFallThroughAction(actions, index, branchOnly) {
+    return actions.slice(index + 1).find(a => !branchOnly.has(a.id)) || null;
+  }
+  
+  /**
+   * Resolve the action that follows an executed action
+   * @param {Array<ActionQueueItem>} actions - Sorted actions
+   * @param {ActionQueueItem} action - The executed action
+   * @param {Object} result - Its result
+   * @param {Set<string>} branchOnly - Branch-only action IDs
+   * @returns {ActionQueueItem|null}
+   */
+  getNextAction(actions, action, result, branchOnly) {
+    // A miss is a successful attack, but the branch it should take is the failure one
+    const jump = (result.hit ?? result.success) ? action.onSuccess : action.onFailure;
+    
+    if (jump === BranchTarget.END) return null;
+    
+    if (jump) {
+      const target = actions.find(a => a.id === jump);
+      if (target) return target;
+      debugLog(`Branch target ${jump} not found (missing or disabled), continuing in order`);
     }
+    
+    return this.getFallThroughAction(actions, actions.indexOf(action), branchOnly);
+  }
+  
+  /**
+   * Create an execution trace entry
+   * @param {number} step - Step number within the turn
+   * @param {ActionQueueItem} action - The action
+   * @param {string} status - executed, planned, skipped, halted or aborted
+   * @param {Object} details - Additional details (success, reason, target, hit, damage, next)
+   * @returns {Object}
+   */
+  createTraceEntry(step, action, status, details = {}) {
+    return {
+      step,
+      actionId: action.id,
+      name: action.name,
+      type: action.type,
+      status,
+      success: null,
+      reason: null,
+      target: null,
+      destination: null,
+      hit: null,
+      damage: null,
+      next: null,
+      ...details
+    };
   }
   
   /**
    * Check if an action should execute based on conditions
    */
-  async shouldExecute(action) {
-    const condition = action.conditions;
+  async shouldExecute(action, workflow) {
+    return await this.evaluateCondition(action.conditions, action, workflow);
+  }
+  
+  /**
+   * Evaluate a condition tree for an action
+   * @param {Object} condition - Leaf, group or expression condition
+   * @param {ActionQueueItem} action - The action being evaluated
+   * @param {Object} workflow - The running workflow
+   * @returns {Promise<boolean>}
+   */
+  async evaluateCondition(condition, action, workflow) {
+    if (!condition) return true;
     
     switch (condition.type) {
       case ConditionType.ALWAYS:
         return true;
         
+      case ConditionType.ALL:
+        for (const child of condition.conditions ?? []) {
+          if (!await this.evaluateCondition(child, action, workflow)) return false;
+        }
+        return true;
+        
+      case ConditionType.ANY:
+        for (const child of condition.conditions ?? []) {
+          if (await this.evaluateCondition(child, action, workflow)) return true;
+        }
+        return (condition.conditions ?? []).length === 0;
+        
+      case ConditionType.NOT:
+        return !await this.evaluateCondition(condition.conditions?.[0], action, workflow);
+        
+      case ConditionType.EXPRESSION:
+        return await this.evaluateExpression(condition.value, action, workflow);
+        
       case ConditionType.TARGET_IN_RANGE:
-        return await this.checkTargetInRange(action);
+        return await this.checkTargetInRange(action, condition, workflow);
         
       case ConditionType.RESOURCE_AVAILABLE:
-        return this.checkResourceAvailable(action);
+        return this.checkResourceAvailable(condition, workflow);
         
       case ConditionType.HP_THRESHOLD:
-        return this.checkHPThreshold(action);
+        return this.checkHPThreshold(condition, workflow);
         
       case ConditionType.ATTACK_HIT:
       case ConditionType.ATTACK_MISS:
-        return this.checkPreviousAttackResult(action);
+        return this.checkPreviousAttackResult(condition, workflow);
+        
+      case ConditionType.SAVE_SUCCESS:
+      case ConditionType.SAVE_FAILURE:
+        return this.checkPreviousSaveResult(condition, workflow);
+        
+      case ConditionType.HAS_ADVANTAGE:
+      case ConditionType.HAS_DISADVANTAGE:
+        return await this.checkAdvantage(action, condition, workflow);
         
       default:
         return true;
     }
   }
   
+  /**
+   * Evaluate a text condition expression
+   * @param {string} expression - Expression source
+   * @param {ActionQueueItem} action - The action being evaluated
+   * @param {Object} workflow - The running workflow
+   * @returns {Promise<boolean>}
+   */
+  async evaluateExpression(expression, action, workflow) {
+    try {
+      const ast = parseConditionExpression(expression);
+      const result = await evaluateConditionExpression(ast, (name, args) => {
+        return this.resolveExpressionFunction(name, args, action, workflow);
+      });
+      return Boolean(result);
+    } catch (error) {
+      console.error(`Token Automation Manager | Error evaluating condition "${expression}":`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Resolve a function call inside a condition expression
+   * @param {string} name - Function name
+   * @param {Array} args - Evaluated arguments
+   * @param {ActionQueueItem} action - The action being evaluated
+   * @param {Object} workflow - The running workflow
+   * @returns {Promise<*>}
+   */
+  async resolveExpressionFunction(name, args, action, workflow) {
+    // Boolean functions map onto the regular condition checkers
+    const conditionType = getFunctionConditionType(name);
+    if (conditionType) {
+      return await this.evaluateCondition({ type: conditionType, value: args[0] ?? null }, action, workflow);
+    }
+    
+    const { actor, token, combat } = workflow.context;
+    
+    switch (name) {
+      case 'hp': {
+        const hp = actor.system.attributes.hp;
+        return hp.max ? (hp.value / hp.max) * 100 : 0;
+      }
+        
+      case 'hpValue':
+        return actor.system.attributes.hp.value;
+        
+      case 'slot':
+        return actor.system.spells?.[`spell${parseInt(args[0])}`]?.value ?? 0;
+        
+      case 'resource':
+        return actor.system.resources?.[args[0]]?.value ?? 0;
+        
+      case 'enemiesWithin': {
+        const attackSystem = game.tokenAutomation?.attackSystem;
+        if (!attackSystem) return 0;
+        return attackSystem.getValidTargets(token)
+          .filter(t => attackSystem.measureTokenDistance(token, t) <= Number(args[0]))
+          .length;
+      }
+        
+      case 'round':
+        return combat?.round ?? 0;
+        
+      case 'memory':
+        return game.tokenAutomation.blackboard.get(token, String(args[0])) ?? 0;
+        
+      case 'lastValue':
+        return workflow.history[workflow.history.length - 1]?.result.value ?? 0;
+        
+      case 'roundsSince': {
+        const remembered = game.tokenAutomation.blackboard.get(token, String(args[0]));
+        return Number.isFinite(remembered) ? (combat?.round ?? 0) - remembered : 999;
+      }
+        
+      default:
+        throw new Error(`Unknown condition function "${name}"`);
+    }
+  }
+  
+  /**
+   * Execute an action of a turn or a reaction. Item use targets and rolls as this user, so
+   * turns running in parallel and reactions take turns at it instead of retargeting each
+   * other's workflows.
+   * @param {ActionQueueItem} action - The action
+   * @param {Object} workflow - The running workflow
+   * @returns {Promise<Object>} The action's result
+   */
+  async executeExclusive(action, workflow) {
+    const itemTypes = [ActionType.ATTACK, ActionType.SPELL, ActionType.ITEM, ActionType.BONUS_ACTION, ActionType.REACTION];
+    if (!itemTypes.includes(action.type)) return await this.executeAction(action, workflow);
+    
+    const previous = this.itemLock;
+    let release;
+    const own = new Promise(resolve => { release = resolve; });
+    this.itemLock = previous.then(() => own);
+    
+    try {
+      await workflow.control.guard(previous);
+      this.itemLockHolder = workflow;
+      return await this.executeAction(action, workflow);
+    } finally {
+      if (this.itemLockHolder === workflow) this.itemLockHolder = null;
+      release();
+    }
+  }
+  
   /**
    * Execute a single action
    */
-  async executeAction(action) {
+  async executeAction(action, workflow) {
     debugLog(`Executing action: ${action.name} (${action.type})`);
     
     try {
       switch (action.type) {
         case ActionType.MOVEMENT:
-          return await this.executeMovement(action);
+          return await this.executeMovement(action, workflow);
           
         case ActionType.ATTACK:
-          return await this.executeAttack(action);
+          return await this.executeAttack(action, workflow);
           
         case ActionType.SPELL:
-          return await this.executeSpell(action);
+          return await this.executeSpell(action, workflow);
           
         case ActionType.ITEM:
-          return await this.executeItem(action);
+          return await this.executeItem(action, workflow);
+          
+        case ActionType.BONUS_ACTION:
+        case ActionType.REACTION:
+          // Bonus actions and reactions use an item like an attack; the cost decides the resource
+          return await this.executeAttack(action, workflow);
+          
+        case ActionType.MACRO:
+          return await this.executeMacro(action, workflow);
           
         case ActionType.END_TURN:
           return { success: true, message: 'Turn ended' };
@@ -175,6 +898,7 @@ export class ActionExecutor {
           return { success: false, error: 'Unknown action type' };
       }
     } catch (error) {
+      if (error instanceof ExecutionAbortedError) throw error;
       console.error(`Token Automation Manager | Error executing ${action.type}:`, error);
       return { success: false, error: error.message };
     }
@@ -183,45 +907,59 @@ export class ActionExecutor {
   /**
    * Execute movement action
    */
-  async executeMovement(action) {
+  async executeMovement(action, workflow) {
     const movementSystem = game.tokenAutomation?.movementSystem;
     if (!movementSystem) {
       return { success: false, error: 'Movement system not available' };
     }
     
     return await movementSystem.executeMovement(
-      this.currentWorkflow.token,
-      action.data
+      workflow.token,
+      action.data,
+      { movementRemaining: workflow.budget.movement, control: workflow.control }
     );
   }
   
   /**
    * Execute attack action
    */
-  async executeAttack(action) {
+  async executeAttack(action, workflow) {
     const attackSystem = game.tokenAutomation?.attackSystem;
     if (!attackSystem) {
       return { success: false, error: 'Attack system not available' };
     }
     
     return await attackSystem.executeAttack(
-      this.currentWorkflow.token,
-      action.data
+      workflow.token,
+      action.data,
+      { control: workflow.control }
     );
   }
   
   /**
    * Execute spell action
    */
-  async executeSpell(action) {
+  async executeSpell(action, workflow) {
     // Spells are handled similar to attacks but with spell-specific logic
-    return await this.executeAttack(action);
+    return await this.executeAttack(action, workflow);
+  }
+  
+  /**
+   * Execute macro or inline script action
+   */
+  async executeMacro(action, workflow) {
+    const scriptSystem = game.tokenAutomation?.scriptSystem;
+    if (!scriptSystem) {
+      return { success: false, error: 'Script system not available' };
+    }
+    
+    return await scriptSystem.executeScript(workflow.token, action.data, { workflow, action });
   }
   
   /**
    * Execute item action
    */
-  async executeItem(action) {
+  async executeItem(action, workflow) {
     const { itemUuid } = action.data;
     if (!itemUuid) {
       return { success: false, error: 'No item specified' };
@@ -242,8 +980,13 @@ export class ActionExecutor {
           configureDialog: false
         };
         
-        await window.MidiQOL.completeItemUse(item, {}, options);
-        return { success: true, message: `Used ${item.name}` };
+        const workflow = await window.MidiQOL.completeItemUse(item, {}, options);
+        const attackSystem = game.tokenAutomation?.attackSystem;
+        return {
+          success: true,
+          ...attackSystem?.getWorkflowSaveResults(workflow),
+          message: `Used ${item.name}`
+        };
       } else {
         // Fallback to standard item use
         await item.use();
@@ -254,22 +997,97 @@ export class ActionExecutor {
     }
   }
   
+  /**
+   * Work out what an action would do for a dry run, without moving, targeting or rolling
+   * @param {ActionQueueItem} action - The action
+   * @param {Object} workflow - The dry-run workflow
+   * @returns {Promise<Object>} Result in the same shape executeAction() returns
+   */
+  async simulateAction(action, workflow) {
+    const { token, actor, position } = workflow.context;
+    const attackSystem = game.tokenAutomation?.attackSystem;
+    const movementSystem = game.tokenAutomation?.movementSystem;
+    
+    try {
+      switch (action.type) {
+        case ActionType.MOVEMENT: {
+          const plan = await movementSystem.planMovement(token, action.data, {
+            movementRemaining: workflow.budget.movement
+          });
+          // Later actions are planned from where this move ends
+          if (plan.success) Object.assign(position, plan.destination);
+          return plan;
+        }
+          
+        case ActionType.ATTACK:
+        case ActionType.SPELL:
+        case ActionType.BONUS_ACTION:
+        case ActionType.REACTION:
+          return await attackSystem.planAttack(token, action.data, workflow.assume === 'success');
+          
+        case ActionType.ITEM: {
+          const item = action.data?.itemUuid ? await fromUuid(action.data.itemUuid) : null;
+          if (!item) return { success: false, error: action.data?.itemUuid ? 'Item not found' : 'No item specified' };
+          if (!attackSystem.canUseItem(item, actor)) {
+            return { success: false, error: 'Item cannot be used (resources, charges, etc.)' };
+          }
+          return { success: true, message: `Would use ${item.name}` };
+        }
+          
+        case ActionType.MACRO:
+          // Scripts can do anything, so they are never run while planning
+          return game.tokenAutomation.scriptSystem.planScript(action.data);
+          
+        case ActionType.END_TURN:
+          return { success: true, message: 'Turn ended' };
+          
+        default:
+          return { success: false, error: 'Unknown action type' };
+      }
+    } catch (error) {
+      console.error(`Token Automation Manager | Error planning ${action.type}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+  
   /**
    * Check if target is in range
    */
-  async checkTargetInRange(action) {
-    // Implementation depends on movement/attack system
-    return true; // Placeholder
+  async checkTargetInRange(action, condition, workflow) {
+    const attackSystem = game.tokenAutomation?.attackSystem;
+    if (!attackSystem) return false;
+    
+    const { token } = workflow.context;
+    const { itemUuid, targetId } = action.data || {};
+    
+    const item = itemUuid ? await fromUuid(itemUuid) : null;
+    if (itemUuid && !item) {
+      debugLog(`Range check: item ${itemUuid} not found`);
+      return false;
+    }
+    
+    // Condition value 'long' allows targets at long range (with disadvantage)
+    const range = attackSystem.getItemRange(item);
+    const limit = condition?.value === 'long' ? range.long : range.normal;
+    
+    const candidates = targetId
+      ? attackSystem.getValidTargets(token).filter(t => t.id === targetId)
+      : attackSystem.getValidTargets(token);
+    
+    const inRange = candidates.some(target => attackSystem.measureTokenDistance(token, target) <= limit);
+    debugLog(`Range check for ${action.name}: ${inRange ? 'target' : 'no target'} within ${limit}`);
+    
+    return inRange;
   }
   
   /**
    * Check if resource is available
    */
-  checkResourceAvailable(action) {
-    const { value } = action.conditions;
+  checkResourceAvailable(condition, workflow) {
+    const { value } = condition;
     if (!value) return true;
     
-    const actor = this.currentWorkflow.actor;
+    const actor = workflow.context.actor;
     
     // Check spell slots
     if (value.startsWith('spell-slot-')) {
@@ -291,11 +1109,11 @@ export class ActionExecutor {
   /**
    * Check HP threshold
    */
-  checkHPThreshold(action) {
-    const { value } = action.conditions;
+  checkHPThreshold(condition, workflow) {
+    const { value } = condition;
     if (!value) return true;
     
-    const actor = this.currentWorkflow.actor;
+    const actor = workflow.context.actor;
     const hpPercent = (actor.system.attributes.hp.value / actor.system.attributes.hp.max) * 100;
     
     // Format: "< 50" or "> 75" etc.
@@ -322,13 +1140,13 @@ export class ActionExecutor {
   /**
    * Check previous attack result
    */
-  checkPreviousAttackResult(action) {
-    // Look for previous attack action result
-    for (const [id, result] of this.currentWorkflow.results) {
+  checkPreviousAttackResult(condition, workflow) {
+    // Look for the most recent attack action result
+    for (const { result } of [...workflow.history].reverse()) {
       if (result.type === 'attack') {
-        if (action.conditions.type === ConditionType.ATTACK_HIT) {
+        if (condition.type === ConditionType.ATTACK_HIT) {
           return result.hit === true;
-        } else if (action.conditions.type === ConditionType.ATTACK_MISS) {
+        } else if (condition.type === ConditionType.ATTACK_MISS) {
           return result.hit === false;
         }
       }
@@ -337,14 +1155,166 @@ export class ActionExecutor {
   }
   
   /**
-   * Stop current execution (emergency stop)
+   * Check the saving throws made by the previous action's targets.
+   * Condition value 'all' requires every target to match; otherwise any target is enough.
+   * Without save results from the previous action the condition fails.
+   */
+  checkPreviousSaveResult(condition, workflow) {
+    const previous = workflow.history.at(-1)?.result;
+    const saves = previous?.saves ?? [];
+    const failedSaves = previous?.failedSaves ?? [];
+    
+    if (saves.length + failedSaves.length === 0) {
+      debugLog('No save results from previous action');
+      return false;
+    }
+    
+    const matching = condition.type === ConditionType.SAVE_SUCCESS ? saves : failedSaves;
+    
+    if (condition.value === 'all') {
+      const targets = previous.targets?.length ? previous.targets : [...saves, ...failedSaves];
+      return targets.every(id => matching.includes(id));
+    }
+    
+    return matching.length > 0;
+  }
+  
+  /**
+   * Check advantage/disadvantage for the action against its current target
    */
-  stopExecution() {
-    if (this.executing) {
-      debugLog('Stopping action execution');
-      this.executing = false;
-      this.currentWorkflow = null;
+  async checkAdvantage(action, condition, workflow) {
+    const wantAdvantage = condition.type === ConditionType.HAS_ADVANTAGE;
+    const data = action.data || {};
+    
+    // An explicit override on the action decides the roll mode
+    if (data.advantageOverride === true || data.advantageOverride === false) {
+      return data.advantageOverride === wantAdvantage;
     }
+    
+    const attackSystem = game.tokenAutomation?.attackSystem;
+    if (!attackSystem) return false;
+    
+    const { token } = workflow.context;
+    const item = data.itemUuid ? fromUuidSync(data.itemUuid) : null;
+    const target = await this.getActionTarget(action, workflow);
+    
+    const state = attackSystem.getAdvantageState(token, target, item);
+    debugLog(`Advantage state for ${action.name}:`, state);
+    
+    return wantAdvantage
+      ? state.advantage && !state.disadvantage
+      : state.disadvantage && !state.advantage;
+  }
+  
+  /**
+   * Resolve the target an action would attack, without targeting it
+   * @param {ActionQueueItem} action - The action
+   * @param {Object} workflow - The running workflow
+   * @returns {Promise<Token|null>}
+   */
+  async getActionTarget(action, workflow) {
+    const { targetId, targetPriority } = action.data || {};
+    if (targetId) return canvas.tokens.get(targetId) ?? null;
+    
+    const attackSystem = game.tokenAutomation?.attackSystem;
+    if (!attackSystem) return null;
+    
+    return await attackSystem.selectTarget(workflow.context.token, targetPriority ?? ['nearest']);
+  }
+  
+  /**
+   * Get the turn budget for a token, creating a full one if none exists
+   * @param {Token} token - The token
+   * @returns {TurnBudget}
+   */
+  getBudget(token) {
+    let budget = this.budgets.get(token.id);
+    if (!budget) {
+      budget = TurnBudget.forToken(token);
+      this.budgets.set(token.id, budget);
+    }
+    return budget;
+  }
+  
+  /**
+   * Restore a token's full budget at the start of its turn
+   * @param {Token} token - The token
+   * @returns {TurnBudget}
+   */
+  resetBudget(token) {
+    const budget = TurnBudget.forToken(token);
+    this.budgets.set(token.id, budget);
+    return budget;
+  }
+  
+  /**
+   * Get the workflows of running turns
+   * @param {string} [tokenId] - Only this token's turn
+   * @returns {Array<Object>}
+   */
+  getWorkflows(tokenId = null) {
+    if (tokenId) return this.workflows.has(tokenId) ? [this.workflows.get(tokenId)] : [];
+    return Array.from(this.workflows.values());
+  }
+  
+  /**
+   * Stop running turns, and drop those waiting in line or for approval (emergency stop).
+   * Without a token this also stops any reactions in progress. Running queues stop at
+   * their next await point and clean up themselves.
+   * @param {string} [tokenId] - Only stop this token's turn
+   */
+  stopExecution(tokenId = null) {
+    this.cancelPending(tokenId);
+    game.tokenAutomation.turnApproval?.cancel(tokenId);
+    
+    const workflows = this.getWorkflows(tokenId);
+    const reactions = tokenId ? [] : Array.from(this.reactions);
+    if (!workflows.length && !reactions.length) return;
+    
+    debugLog('Stopping action execution');
+    for (const workflow of [...workflows, ...reactions]) workflow.control.abort();
+  }
+  
+  /**
+   * Pause running turns at their next checkpoint
+   * @param {string} [tokenId] - Only pause this token's turn
+   */
+  pauseExecution(tokenId = null) {
+    for (const workflow of this.getWorkflows(tokenId)) {
+      workflow.control.pause();
+      this.publishStatus(workflow);
+      ui.notifications.info(game.i18n.format('TAM.Notifications.ExecutionPaused', {
+        name: workflow.token.name
+      }));
+    }
+  }
+  
+  /**
+   * Resume paused or single-stepping turns
+   * @param {string} [tokenId] - Only resume this token's turn
+   */
+  resumeExecution(tokenId = null) {
+    for (const workflow of this.getWorkflows(tokenId)) {
+      workflow.control.resume();
+      this.publishStatus(workflow);
+    }
+  }
+  
+  /**
+   * Toggle between paused and running; if any of the turns is paused, all are resumed
+   * @param {string} [tokenId] - Only this token's turn
+   */
+  togglePause(tokenId = null) {
+    if (this.getWorkflows(tokenId).some(workflow => workflow.control.paused)) this.resumeExecution(tokenId);
+    else this.pauseExecution(tokenId);
+  }
+  
+  /**
+   * Let running turns execute one more action, switching them to single-step mode
+   * @param {string} [tokenId] - Only this token's turn
+   */
+  stepExecution(tokenId = null) {
+    for (const workflow of this.getWorkflows(tokenId)) workflow.control.step();
   }
   
   /**
@@ -353,8 +1323,29 @@ export class ActionExecutor {
   getStatus() {
     return {
       executing: this.executing,
+      running: this.getWorkflows().map(workflow => ({
+        tokenId: workflow.token.id,
+        tokenName: workflow.token.name,
+        state: workflow.control.state,
+        action: workflow.cursor.action?.name ?? null
+      })),
+      pending: this.pending.map(turn => ({ tokenId: turn.token.id, tokenName: turn.token.name })),
+      state: this.currentWorkflow?.control.state ?? null,
       currentToken: this.currentWorkflow?.token?.name || null,
-      actionsCompleted: this.currentWorkflow?.results.size || 0
+      actionsCompleted: this.currentWorkflow?.results.size || 0,
+      trace: this.currentWorkflow?.trace ?? this.lastTrace?.entries ?? [],
+      budget: this.currentWorkflow?.budget.toObject() ?? null,
+      budgets: Object.fromEntries(
+        Array.from(this.budgets, ([tokenId, budget]) => [tokenId, budget.toObject()])
+      )
     };
   }
+  
+  /**
+   * Get the execution trace of the most recent turn
+   * @returns {Object|null}
+   */
+  getLastTrace() {
+    return this.lastTrace;
+  }
 }
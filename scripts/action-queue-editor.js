@@ -0,0 +1,932 @@
+/**
+ * Action Queue Editor - Visual editor for a token's action queue
+ */
+
+import { MODULE_ID, debugLog } from './main.js';
+import {
+  ActionType,
+  ActionCost,
+  ConditionType,
+  BranchTarget,
+  ReactionTrigger,
+  ActionQueueItem,
+  MovementActionData,
+  AttackActionData,
+  ScriptActionData
+} from './action-queue.js';
+import { conditionToExpression, validateConditionExpression } from './condition-expression.js';
+import { TemplateSource } from './token-manager.js';
+import { SCHEDULE_FIELDS } from './action-schedule.js';
+import { MemoryOperation } from './blackboard.js';
+import { DEFAULT_SCRIPT_TIMEOUT } from './script-system.js';
+import { QueuePresetBrowser } from './queue-preset-browser.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Localization keys for each action type
+ */
+const ACTION_TYPE_LABELS = {
+  [ActionType.MOVEMENT]: 'TAM.Actions.Movement',
+  [ActionType.ATTACK]: 'TAM.Actions.Attack',
+  [ActionType.SPELL]: 'TAM.Actions.Spell',
+  [ActionType.ITEM]: 'TAM.Actions.Item',
+  [ActionType.BONUS_ACTION]: 'TAM.Actions.BonusAction',
+  [ActionType.REACTION]: 'TAM.Actions.Reaction',
+  [ActionType.MACRO]: 'TAM.Actions.Macro',
+  [ActionType.END_TURN]: 'TAM.Actions.EndTurn'
+};
+
+/**
+ * Localization keys for each action cost ('' = type default)
+ */
+const ACTION_COST_LABELS = {
+  '': 'TAM.ActionCost.Default',
+  [ActionCost.ACTION]: 'TAM.ActionCost.Action',
+  [ActionCost.BONUS_ACTION]: 'TAM.ActionCost.BonusAction',
+  [ActionCost.REACTION]: 'TAM.ActionCost.Reaction',
+  [ActionCost.MOVEMENT]: 'TAM.ActionCost.Movement',
+  [ActionCost.FREE]: 'TAM.ActionCost.Free'
+};
+
+/**
+ * Localization keys for each condition type
+ */
+const CONDITION_TYPE_LABELS = {
+  [ConditionType.ALWAYS]: 'TAM.Conditions.Always',
+  [ConditionType.TARGET_IN_RANGE]: 'TAM.Conditions.TargetInRange',
+  [ConditionType.RESOURCE_AVAILABLE]: 'TAM.Conditions.ResourceAvailable',
+  [ConditionType.HP_THRESHOLD]: 'TAM.Conditions.HPThreshold',
+  [ConditionType.ATTACK_HIT]: 'TAM.Conditions.AttackHit',
+  [ConditionType.ATTACK_MISS]: 'TAM.Conditions.AttackMiss',
+  [ConditionType.SAVE_SUCCESS]: 'TAM.Conditions.SaveSuccess',
+  [ConditionType.SAVE_FAILURE]: 'TAM.Conditions.SaveFailure',
+  [ConditionType.HAS_ADVANTAGE]: 'TAM.Conditions.HasAdvantage',
+  [ConditionType.HAS_DISADVANTAGE]: 'TAM.Conditions.HasDisadvantage',
+  [ConditionType.EXPRESSION]: 'TAM.Conditions.Expression'
+};
+
+/**
+ * Compound condition types, edited in the form as their equivalent expression
+ */
+const GROUP_CONDITION_TYPES = [ConditionType.ALL, ConditionType.ANY, ConditionType.NOT];
+
+/**
+ * Condition types that take a value, mapped to their input hint
+ */
+const CONDITION_VALUE_HINTS = {
+  [ConditionType.RESOURCE_AVAILABLE]: 'TAM.ActionQueue.ConditionValueHint.Resource',
+  [ConditionType.HP_THRESHOLD]: 'TAM.ActionQueue.ConditionValueHint.HP',
+  [ConditionType.TARGET_IN_RANGE]: 'TAM.ActionQueue.ConditionValueHint.Range',
+  [ConditionType.SAVE_SUCCESS]: 'TAM.ActionQueue.ConditionValueHint.Save',
+  [ConditionType.SAVE_FAILURE]: 'TAM.ActionQueue.ConditionValueHint.Save',
+  [ConditionType.EXPRESSION]: 'TAM.ActionQueue.ConditionValueHint.Expression'
+};
+
+const TARGET_PRIORITY_LABELS = {
+  nearest: 'TAM.TargetPriority.Nearest',
+  furthest: 'TAM.TargetPriority.Furthest',
+  lowestHP: 'TAM.TargetPriority.LowestHP',
+  highestHP: 'TAM.TargetPriority.HighestHP',
+  lowestAC: 'TAM.TargetPriority.LowestAC',
+  highestAC: 'TAM.TargetPriority.HighestAC',
+  lastTarget: 'TAM.TargetPriority.LastTarget',
+  lastAttacker: 'TAM.TargetPriority.LastAttacker'
+};
+
+const MOVEMENT_TARGET_LABELS = {
+  waypoint: 'TAM.Movement.Target.Waypoint',
+  nearestEnemy: 'TAM.Movement.Target.NearestEnemy',
+  token: 'TAM.Movement.Target.Token',
+  follow: 'TAM.Movement.Target.Follow',
+  guard: 'TAM.Movement.Target.Guard',
+  flee: 'TAM.Movement.Target.Flee'
+};
+
+const TEMPLATE_SOURCE_LABELS = {
+  [TemplateSource.TOKEN]: 'TAM.Templates.Source.Token',
+  [TemplateSource.PROTOTYPE]: 'TAM.Templates.Source.Prototype',
+  [TemplateSource.ACTOR]: 'TAM.Templates.Source.Actor'
+};
+
+const MEMORY_OPERATION_LABELS = {
+  [MemoryOperation.SET]: 'TAM.Memory.Operation.Set',
+  [MemoryOperation.ADD]: 'TAM.Memory.Operation.Add',
+  [MemoryOperation.CLEAR]: 'TAM.Memory.Operation.Clear'
+};
+
+const MEMORY_WHEN_LABELS = {
+  success: 'TAM.Memory.When.Success',
+  failure: 'TAM.Memory.When.Failure',
+  always: 'TAM.Memory.When.Always'
+};
+
+const REACTION_TRIGGER_LABELS = {
+  '': 'TAM.Reactions.Trigger.None',
+  [ReactionTrigger.OPPORTUNITY_ATTACK]: 'TAM.Reactions.Trigger.OpportunityAttack',
+  [ReactionTrigger.TARGETED_BY_ATTACK]: 'TAM.Reactions.Trigger.TargetedByAttack'
+};
+
+/**
+ * Action types that use the attack form (item + targeting)
+ */
+const ATTACK_FORM_TYPES = [ActionType.ATTACK, ActionType.SPELL, ActionType.BONUS_ACTION, ActionType.REACTION];
+
+/**
+ * Item types offered in the item picker
+ */
+const PICKABLE_ITEM_TYPES = ['weapon', 'spell', 'feat', 'consumable', 'equipment', 'tool'];
+
+export class ActionQueueEditor extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {Token} token - The token whose queue is edited
+   * @param {Object} options - Application options
+   */
+  constructor(token, options = {}) {
+    super({ id: `${MODULE_ID}-action-queue-${token.id}`, ...options });
+    this.token = token;
+    this.actions = game.tokenAutomation.actionQueueManager.getSortedActions(token);
+    this.expanded = new Set();
+    this.recordingActionId = null;
+    this.validationErrors = [];
+  }
+
+  static DEFAULT_OPTIONS = {
+    classes: ['action-queue-editor'],
+    tag: 'form',
+    window: {
+      title: 'TAM.ActionQueue.Title',
+      icon: 'fas fa-list-ol',
+      resizable: true
+    },
+    position: {
+      width: 640,
+      height: 'auto'
+    },
+    form: {
+      handler: ActionQueueEditor.#onSubmit,
+      submitOnChange: false,
+      closeOnSubmit: false
+    },
+    actions: {
+      addAction: ActionQueueEditor.#onAddAction,
+      toggleAction: ActionQueueEditor.#onToggleAction,
+      duplicateAction: ActionQueueEditor.#onDuplicateAction,
+      removeAction: ActionQueueEditor.#onRemoveAction,
+      expandAction: ActionQueueEditor.#onExpandAction,
+      recordPath: ActionQueueEditor.#onRecordPath,
+      clearPath: ActionQueueEditor.#onClearPath,
+      toggleQueue: ActionQueueEditor.#onToggleQueue,
+      clearQueue: ActionQueueEditor.#onClearQueue,
+      exportQueue: ActionQueueEditor.#onExportQueue,
+      importQueue: ActionQueueEditor.#onImportQueue,
+      saveTemplate: ActionQueueEditor.#onSaveTemplate,
+      openPresets: ActionQueueEditor.#onOpenPresets,
+      revertToTemplate: ActionQueueEditor.#onRevertToTemplate,
+      addMemory: ActionQueueEditor.#onAddMemory,
+      removeMemory: ActionQueueEditor.#onRemoveMemory,
+      planTurn: ActionQueueEditor.#onPlanTurn
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/token-automation-manager/templates/action-queue-editor.hbs',
+      scrollable: ['.action-queue-list']
+    }
+  };
+
+  /**
+   * Open the editor for a token, reusing an existing window if one is open
+   * @param {Token} token - The token to edit
+   * @returns {ActionQueueEditor}
+   */
+  static open(token) {
+    const existing = foundry.applications.instances?.get(`${MODULE_ID}-action-queue-${token.id}`);
+    if (existing) {
+      existing.render({ force: true });
+      existing.bringToFront?.();
+      return existing;
+    }
+    const editor = new ActionQueueEditor(token);
+    editor.render({ force: true });
+    return editor;
+  }
+
+  /**
+   * Reload an open editor after the token's stored queue was replaced elsewhere
+   * @param {Token} token - The token
+   */
+  static reload(token) {
+    const editor = foundry.applications.instances?.get(`${MODULE_ID}-action-queue-${token.id}`);
+    if (!editor) return;
+    editor.actions = game.tokenAutomation.actionQueueManager.getSortedActions(token);
+    editor.expanded.clear();
+    editor.validationErrors = [];
+    editor.render();
+  }
+
+  /** @override */
+  get title() {
+    return `${game.i18n.localize('TAM.ActionQueue.Title')}: ${this.token.name}`;
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const queueManager = game.tokenAutomation.actionQueueManager;
+    const tokenManager = game.tokenAutomation.tokenManager;
+    const actor = tokenManager.getBaseActor(this.token);
+    const source = queueManager.getQueueSource(this.token).source;
+
+    // A token's own queue only counts as an override when there is a template to revert to
+    const hasTemplate = !!actor && (!!actor.getFlag(MODULE_ID, queueManager.FLAG_KEY)
+      || !!actor.prototypeToken?.flags?.[MODULE_ID]?.[queueManager.FLAG_KEY]);
+    const canRevert = source === TemplateSource.TOKEN && hasTemplate;
+
+    return {
+      tokenName: this.token.name,
+      queueEnabled: queueManager.isQueueEnabled(this.token),
+      actorName: actor?.name,
+      sourceLabel: (source && source !== TemplateSource.TOKEN) || canRevert ? TEMPLATE_SOURCE_LABELS[source] : null,
+      canSaveTemplate: !!actor?.isOwner,
+      canRevert,
+      actions: this.actions.map((action, index) => this._prepareAction(action, index)),
+      actionTypes: ACTION_TYPE_LABELS,
+      actionCosts: ACTION_COST_LABELS,
+      conditionTypes: CONDITION_TYPE_LABELS,
+      targetPriorities: TARGET_PRIORITY_LABELS,
+      movementTargets: MOVEMENT_TARGET_LABELS,
+      reactionTriggers: REACTION_TRIGGER_LABELS,
+      memoryOperations: MEMORY_OPERATION_LABELS,
+      memoryWhen: MEMORY_WHEN_LABELS,
+      advantageChoices: {
+        '': 'TAM.ActionQueue.Advantage.Auto',
+        true: 'TAM.ActionQueue.Advantage.Advantage',
+        false: 'TAM.ActionQueue.Advantage.Disadvantage'
+      },
+      itemChoices: this._getItemChoices(),
+      tokenChoices: this._getTokenChoices(),
+      allyChoices: { ...this._getTokenChoices(), '': 'TAM.Movement.Summoner' },
+      macroChoices: this._getMacroChoices(),
+      canWriteScripts: game.user.can('MACRO_SCRIPT'),
+      defaultTimeout: DEFAULT_SCRIPT_TIMEOUT
+    };
+  }
+
+  /**
+   * Build the render data for a single queue row
+   * @param {ActionQueueItem} action - The action
+   * @param {number} index - Position in the queue
+   * @returns {Object}
+   */
+  _prepareAction(action, index) {
+    const isMovement = action.type === ActionType.MOVEMENT;
+    const isAttack = ATTACK_FORM_TYPES.includes(action.type);
+    const isItem = action.type === ActionType.ITEM;
+    const isMacro = action.type === ActionType.MACRO;
+    const data = isMovement
+      ? new MovementActionData(action.data)
+      : (isAttack || isItem) ? new AttackActionData(action.data)
+      : isMacro ? new ScriptActionData(action.data) : action.data;
+
+    const item = data.itemUuid ? fromUuidSync(data.itemUuid) : null;
+
+    // Branch targets can point at any other action in the queue
+    const branchChoices = {
+      '': 'TAM.ActionQueue.NoBranch',
+      [BranchTarget.END]: 'TAM.ActionQueue.EndBranch'
+    };
+    for (const other of this.actions) {
+      if (other.id !== action.id) branchChoices[other.id] = other.name;
+    }
+
+    // Condition groups are shown and edited as their equivalent expression
+    let conditions = action.conditions ?? { type: ConditionType.ALWAYS, value: null };
+    if (GROUP_CONDITION_TYPES.includes(conditions.type)) {
+      conditions = { type: ConditionType.EXPRESSION, value: conditionToExpression(conditions) };
+    }
+
+    const errors = this.validationErrors
+      .filter(e => e.actionId === action.id)
+      .map(e => e.message);
+    if (conditions.type === ConditionType.EXPRESSION && errors.length === 0) {
+      const expressionError = validateConditionExpression(conditions.value);
+      if (expressionError) errors.push(expressionError);
+    }
+
+    return {
+      ...action.toObject(),
+      conditions,
+      isExpression: conditions.type === ConditionType.EXPRESSION,
+      errors,
+      data,
+      index,
+      typeLabel: ACTION_TYPE_LABELS[action.type] ?? action.type,
+      isMovement,
+      isEscort: isMovement && ['follow', 'guard'].includes(data.targetType),
+      isAttack,
+      isItem,
+      isMacro,
+      isReaction: action.type === ActionType.REACTION,
+      triggerType: action.trigger?.type ?? '',
+      expanded: this.expanded.has(action.id),
+      itemName: item?.name ?? null,
+      itemImg: item?.img ?? null,
+      primaryPriority: data.targetPriority?.[0] ?? 'nearest',
+      advantageValue: data.advantageOverride === null || data.advantageOverride === undefined
+        ? '' : String(data.advantageOverride),
+      waypointCount: data.waypoints?.length ?? 0,
+      recording: this.recordingActionId === action.id,
+      conditionHint: CONDITION_VALUE_HINTS[conditions.type] ?? null,
+      branchChoices
+    };
+  }
+
+  /**
+   * Get usable items on the token's actor, keyed by UUID
+   * @returns {Object}
+   */
+  _getItemChoices() {
+    const choices = { '': 'TAM.ActionQueue.NoItem' };
+    const items = this.token.actor?.items.filter(i => PICKABLE_ITEM_TYPES.includes(i.type)) ?? [];
+
+    items
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(item => {
+        choices[item.uuid] = `${item.name} (${game.i18n.localize(CONFIG.Item.typeLabels?.[item.type] ?? item.type)})`;
+      });
+
+    return choices;
+  }
+
+  /**
+   * Get world macros the current user can run, keyed by UUID
+   * @returns {Object}
+   */
+  _getMacroChoices() {
+    const choices = { '': 'TAM.ActionQueue.InlineScript' };
+    game.macros
+      .filter(m => m.canExecute !== false)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(macro => choices[macro.uuid] = macro.name);
+    return choices;
+  }
+
+  /**
+   * Get other tokens on the scene that can be chosen as explicit targets
+   * @returns {Object}
+   */
+  _getTokenChoices() {
+    const choices = { '': 'TAM.ActionQueue.AutoTarget' };
+    for (const t of canvas.tokens?.placeables ?? []) {
+      if (t === this.token) continue;
+      if (t.document.hidden && !game.user.isGM) continue;
+      choices[t.id] = t.name;
+    }
+    return choices;
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    // Re-render when a field that changes the row layout is edited
+    this.element.querySelectorAll('[data-refresh]').forEach(el => {
+      el.addEventListener('change', () => {
+        this._syncFromForm();
+        this.render();
+      });
+    });
+
+    // Drag-to-reorder rows and drop items onto rows
+    this.element.querySelectorAll('.action-queue-item').forEach(row => {
+      row.querySelector('.action-drag-handle')?.addEventListener('dragstart', this._onDragStart.bind(this));
+      row.addEventListener('dragover', this._onDragOver.bind(this));
+      row.addEventListener('dragleave', event => event.currentTarget.classList.remove('drag-over'));
+      row.addEventListener('drop', this._onDrop.bind(this));
+    });
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    if (this.recordingActionId) {
+      game.tokenAutomation.movementSystem.stopRecording();
+      this.recordingActionId = null;
+    }
+  }
+
+  /**
+   * Start dragging a queue row
+   * @param {DragEvent} event
+   */
+  _onDragStart(event) {
+    const row = event.currentTarget.closest('.action-queue-item');
+    row.classList.add('dragging');
+    event.dataTransfer.setData('text/plain', JSON.stringify({
+      type: 'TAMAction',
+      actionId: row.dataset.actionId
+    }));
+  }
+
+  /**
+   * Highlight a row while something is dragged over it
+   * @param {DragEvent} event
+   */
+  _onDragOver(event) {
+    event.preventDefault();
+    event.currentTarget.classList.add('drag-over');
+  }
+
+  /**
+   * Handle a drop onto a row: either a reordered row or an Item from a sheet/sidebar
+   * @param {DragEvent} event
+   */
+  async _onDrop(event) {
+    event.preventDefault();
+    const row = event.currentTarget;
+    row.classList.remove('drag-over');
+
+    let data;
+    try {
+      data = JSON.parse(event.dataTransfer.getData('text/plain'));
+    } catch (error) {
+      return;
+    }
+
+    this._syncFromForm();
+    const targetId = row.dataset.actionId;
+
+    if (data.type === 'TAMAction') {
+      this._moveAction(data.actionId, targetId);
+    } else if (data.type === 'Item' && data.uuid) {
+      this._assignItem(targetId, data.uuid);
+    } else if (data.type === 'Macro' && data.uuid) {
+      this._assignMacro(targetId, data.uuid);
+    }
+
+    this.render();
+  }
+
+  /**
+   * Move an action so that it sits where another action currently is
+   * @param {string} actionId - The action being moved
+   * @param {string} targetId - The action it was dropped on
+   */
+  _moveAction(actionId, targetId) {
+    if (actionId === targetId) return;
+
+    const from = this.actions.findIndex(a => a.id === actionId);
+    const to = this.actions.findIndex(a => a.id === targetId);
+    if (from < 0 || to < 0) return;
+
+    const [moved] = this.actions.splice(from, 1);
+    this.actions.splice(to, 0, moved);
+    this.actions.forEach((a, idx) => a.order = idx);
+
+    debugLog(`Moved action ${moved.name} to position ${to}`);
+  }
+
+  /**
+   * Assign a dropped item to an action, if the token's actor owns it
+   * @param {string} actionId - The action to update
+   * @param {string} uuid - Dropped item UUID
+   */
+  _assignItem(actionId, uuid) {
+    const action = this.actions.find(a => a.id === actionId);
+    if (!action || [ActionType.MOVEMENT, ActionType.MACRO, ActionType.END_TURN].includes(action.type)) return;
+
+    const item = this.token.actor?.items.find(i => i.uuid === uuid);
+    if (!item) {
+      ui.notifications.warn(game.i18n.localize('TAM.ActionQueue.ItemNotOwned'));
+      return;
+    }
+
+    action.data = { ...action.data, itemUuid: item.uuid };
+    if (action.name === 'Untitled Action') action.name = item.name;
+  }
+
+  /**
+   * Assign a dropped macro to a macro action
+   * @param {string} actionId - The action to update
+   * @param {string} uuid - Dropped macro UUID
+   */
+  _assignMacro(actionId, uuid) {
+    const action = this.actions.find(a => a.id === actionId);
+    if (action?.type !== ActionType.MACRO) return;
+
+    const macro = fromUuidSync(uuid);
+    if (!macro) return;
+
+    action.data = { ...action.data, macroUuid: macro.uuid };
+    if (action.name === game.i18n.localize(ACTION_TYPE_LABELS[ActionType.MACRO])) action.name = macro.name;
+  }
+
+  /**
+   * Read the current form state back into the working copy of the queue.
+   * Structural edits (add, remove, reorder) call this first so unsaved field edits survive a re-render.
+   */
+  _syncFromForm() {
+    if (!this.element) return;
+
+    const FormDataClass = foundry.applications.ux?.FormDataExtended ?? FormDataExtended;
+    const formData = foundry.utils.expandObject(new FormDataClass(this.element).object);
+    const rows = formData.actions ?? {};
+
+    for (const [index, row] of Object.entries(rows)) {
+      const action = this.actions[Number(index)];
+      if (!action) continue;
+
+      action.name = row.name?.trim() || action.name;
+      action.type = row.type ?? action.type;
+      if ('cost' in row) action.cost = row.cost || null;
+      if (row.conditions) {
+        action.conditions = {
+          ...action.conditions,
+          type: row.conditions.type ?? action.conditions.type,
+          value: String(row.conditions.value ?? '').trim() || null
+        };
+      }
+      if ('onSuccess' in row) action.onSuccess = row.onSuccess || null;
+      if ('onFailure' in row) action.onFailure = row.onFailure || null;
+      if (row.schedule) action.schedule = this._normalizeSchedule(row.schedule);
+      if (row.memory) action.memory = this._normalizeMemory(row.memory);
+      if (row.trigger) {
+        action.trigger = row.trigger.type
+          ? { type: row.trigger.type, onlyIfHit: !!row.trigger.onlyIfHit }
+          : null;
+      }
+      action.data = this._normalizeData(action.data, row.data ?? {});
+    }
+  }
+
+  /**
+   * Read submitted schedule fields; blank fields are unlimited
+   * @param {Object} submitted - Submitted form fields
+   * @returns {Object|null} Schedule, or null when every field is blank
+   */
+  _normalizeSchedule(submitted) {
+    const schedule = {};
+    for (const field of SCHEDULE_FIELDS) {
+      const value = submitted[field];
+      schedule[field] = Number.isFinite(value) ? value : null;
+    }
+    return Object.values(schedule).some(v => v !== null) ? schedule : null;
+  }
+
+  /**
+   * Read submitted memory rows. Numeric values are stored as numbers.
+   * @param {Object} submitted - Submitted rows keyed by index
+   * @returns {Array<Object>} Entries of shape {key, op, value, when}
+   */
+  _normalizeMemory(submitted) {
+    return Object.values(submitted).map(row => {
+      const text = String(row.value ?? '').trim();
+      const value = text === '' ? null : (Number.isFinite(Number(text)) ? Number(text) : text);
+      return { key: String(row.key ?? '').trim(), op: row.op, value, when: row.when || 'success' };
+    });
+  }
+
+  /**
+   * Merge submitted per-type form fields into an action's data
+   * @param {Object} current - Existing action data
+   * @param {Object} submitted - Submitted form fields
+   * @returns {Object}
+   */
+  _normalizeData(current, submitted) {
+    const data = { ...current };
+
+    for (const [key, value] of Object.entries(submitted)) {
+      switch (key) {
+        case 'targetPriority': {
+          const rest = (current.targetPriority ?? []).filter(p => p !== value);
+          data.targetPriority = [value, ...rest];
+          break;
+        }
+        case 'advantageOverride':
+          data.advantageOverride = value === '' ? null : value === 'true';
+          break;
+        case 'maxDistance':
+          data.maxDistance = Number.isFinite(value) && value > 0 ? value : null;
+          break;
+        case 'formationOffset': {
+          const { x, y } = value ?? {};
+          data.formationOffset = Number.isFinite(x) || Number.isFinite(y)
+            ? { x: Number.isFinite(x) ? x : 0, y: Number.isFinite(y) ? y : 0 }
+            : null;
+          break;
+        }
+        case 'timeout':
+          data.timeout = Number.isFinite(value) && value > 0 ? value : null;
+          break;
+        case 'script':
+          data.script = value ?? '';
+          break;
+        default:
+          data[key] = value === '' ? null : value;
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Find the action for a clicked control
+   * @param {HTMLElement} target - The clicked element
+   * @returns {ActionQueueItem|undefined}
+   */
+  _getActionFromTarget(target) {
+    const actionId = target.closest('.action-queue-item')?.dataset.actionId;
+    return this.actions.find(a => a.id === actionId);
+  }
+
+  /**
+   * Save the working copy of the queue to the token
+   */
+  static async #onSubmit(event, form, formData) {
+    this._syncFromForm();
+    this.actions.forEach((a, idx) => a.order = idx);
+
+    // Show validation errors on the affected rows instead of saving
+    const queueManager = game.tokenAutomation.actionQueueManager;
+    this.validationErrors = queueManager.validateQueue(this.actions, queueManager.getQueueData(this.token)?.actions);
+    if (this.validationErrors.length > 0) {
+      this.validationErrors.forEach(e => this.expanded.add(e.actionId));
+      ui.notifications.error(game.i18n.localize('TAM.ActionQueue.ValidationFailed'));
+      this.render();
+      return;
+    }
+
+    const saved = await queueManager.setQueue(this.token, this.actions);
+    if (saved) {
+      ui.notifications.info(game.i18n.format('TAM.ActionQueue.Saved', { name: this.token.name }));
+    } else {
+      ui.notifications.error(game.i18n.localize('TAM.ActionQueue.SaveError'));
+    }
+  }
+
+  static #onAddAction(event, target) {
+    this._syncFromForm();
+
+    const type = this.element.querySelector('[name="newActionType"]')?.value || ActionType.ATTACK;
+    const action = new ActionQueueItem({
+      type,
+      order: this.actions.length,
+      name: game.i18n.localize(ACTION_TYPE_LABELS[type])
+    });
+
+    this.actions.push(action);
+    this.expanded.add(action.id);
+    this.render();
+  }
+
+  static #onToggleAction(event, target) {
+    const action = this._getActionFromTarget(target);
+    if (!action) return;
+
+    this._syncFromForm();
+    action.enabled = !action.enabled;
+    this.render();
+  }
+
+  static #onDuplicateAction(event, target) {
+    const action = this._getActionFromTarget(target);
+    if (!action) return;
+
+    this._syncFromForm();
+    const duplicate = ActionQueueItem.fromObject(foundry.utils.deepClone(action.toObject()));
+    duplicate.id = foundry.utils.randomID();
+    duplicate.name = `${action.name} (Copy)`;
+
+    this.actions.splice(this.actions.indexOf(action) + 1, 0, duplicate);
+    this.actions.forEach((a, idx) => a.order = idx);
+    this.render();
+  }
+
+  static #onRemoveAction(event, target) {
+    const action = this._getActionFromTarget(target);
+    if (!action) return;
+
+    this._syncFromForm();
+    this.actions = this.actions.filter(a => a !== action);
+
+    // Drop branch pointers to the removed action
+    for (const other of this.actions) {
+      if (other.onSuccess === action.id) other.onSuccess = null;
+      if (other.onFailure === action.id) other.onFailure = null;
+    }
+
+    this.actions.forEach((a, idx) => a.order = idx);
+    this.expanded.delete(action.id);
+    this.render();
+  }
+
+  static #onExpandAction(event, target) {
+    const action = this._getActionFromTarget(target);
+    if (!action) return;
+
+    this._syncFromForm();
+    if (this.expanded.has(action.id)) this.expanded.delete(action.id);
+    else this.expanded.add(action.id);
+    this.render();
+  }
+
+  static #onAddMemory(event, target) {
+    const action = this._getActionFromTarget(target);
+    if (!action) return;
+
+    this._syncFromForm();
+    action.memory = [...(action.memory ?? []), { key: '', op: MemoryOperation.SET, value: '@target', when: 'success' }];
+    this.render();
+  }
+
+  static #onRemoveMemory(event, target) {
+    const action = this._getActionFromTarget(target);
+    if (!action) return;
+
+    this._syncFromForm();
+    const index = Number(target.closest('[data-memory-index]')?.dataset.memoryIndex);
+    action.memory = (action.memory ?? []).filter((entry, idx) => idx !== index);
+    this.render();
+  }
+
+  static #onRecordPath(event, target) {
+    const action = this._getActionFromTarget(target);
+    if (!action) return;
+
+    this._syncFromForm();
+    const movementSystem = game.tokenAutomation.movementSystem;
+
+    if (this.recordingActionId === action.id) {
+      const waypoints = movementSystem.stopRecording();
+      if (waypoints) action.data = { ...action.data, waypoints, targetType: 'waypoint' };
+      this.recordingActionId = null;
+    } else {
+      if (this.recordingActionId) movementSystem.stopRecording();
+      movementSystem.startRecording(this.token);
+      this.recordingActionId = action.id;
+    }
+
+    this.render();
+  }
+
+  static #onClearPath(event, target) {
+    const action = this._getActionFromTarget(target);
+    if (!action) return;
+
+    this._syncFromForm();
+    action.data = { ...action.data, waypoints: [] };
+    this.render();
+  }
+
+  static async #onToggleQueue(event, target) {
+    const queueManager = game.tokenAutomation.actionQueueManager;
+    this._syncFromForm();
+    await queueManager.setQueueEnabled(this.token, !queueManager.isQueueEnabled(this.token));
+    this.render();
+  }
+
+  static async #onClearQueue(event, target) {
+    const DialogV2 = foundry.applications.api.DialogV2;
+    const confirmed = await DialogV2.confirm({
+      window: { title: 'TAM.ActionQueue.ClearQueue' },
+      content: `<p>${game.i18n.format('TAM.ActionQueue.ClearConfirm', { name: this.token.name })}</p>`
+    });
+    if (!confirmed) return;
+
+    this.actions = [];
+    this.expanded.clear();
+    this.render();
+  }
+
+  static #onExportQueue(event, target) {
+    const json = game.tokenAutomation.actionQueueManager.exportQueue(this.token);
+    const save = foundry.utils.saveDataToFile ?? saveDataToFile;
+    save(json, 'application/json', `${this.token.name.slugify()}-action-queue.json`);
+  }
+
+  static async #onImportQueue(event, target) {
+    const DialogV2 = foundry.applications.api.DialogV2;
+    const json = await DialogV2.prompt({
+      window: { title: 'TAM.ActionQueue.ImportQueue' },
+      content: `
+        <p>${game.i18n.localize('TAM.ActionQueue.ImportHint')}</p>
+        <textarea name="json" rows="12" style="width: 100%; font-family: monospace;"></textarea>
+      `,
+      ok: {
+        label: 'TAM.ActionQueue.ImportQueue',
+        callback: (event, button) => button.form.elements.json.value
+      },
+      rejectClose: false
+    });
+    if (!json?.trim()) return;
+
+    // Imported actions follow the unsaved edits; both are written only if the import succeeds
+    const queueManager = game.tokenAutomation.actionQueueManager;
+    this._syncFromForm();
+    const result = await queueManager.importQueue(this.token, json, true, { base: this.actions });
+    if (!result.success) {
+      if (result.errors.length) await ActionQueueEditor.#showImportProblems(result.errors);
+      else ui.notifications.error(game.i18n.localize('TAM.ActionQueue.ImportError'));
+      return;
+    }
+
+    ui.notifications.info(game.i18n.format('TAM.ActionQueue.Imported', { count: result.count }));
+    if (result.warnings.length) {
+      ui.notifications.warn(game.i18n.format('TAM.ActionQueue.ImportWarnings', { count: result.warnings.length }));
+      await ActionQueueEditor.#showImportProblems(result.warnings, true);
+    }
+
+    this.actions = queueManager.getSortedActions(this.token);
+    this.render();
+  }
+
+  /**
+   * List field-level import errors or warnings
+   * @param {Array<Object>} problems - Entries of shape {path, message}
+   * @param {boolean} warning - Whether these are warnings about an import that succeeded
+   */
+  static async #showImportProblems(problems, warning = false) {
+    const rows = problems.map(p => `<li><code>${p.path || '-'}</code> ${Handlebars.escapeExpression(p.message)}</li>`);
+    await foundry.applications.api.DialogV2.prompt({
+      window: { title: warning ? 'TAM.ActionQueue.ImportWarningsTitle' : 'TAM.ActionQueue.ImportErrorsTitle' },
+      position: { width: 520 },
+      content: `
+        <p>${game.i18n.localize(warning ? 'TAM.ActionQueue.ImportWarningsHint' : 'TAM.ActionQueue.ImportErrorsHint')}</p>
+        <ul class="import-problems">${rows.join('')}</ul>
+      `,
+      rejectClose: false
+    });
+  }
+
+  static async #onSaveTemplate(event, target) {
+    const DialogV2 = foundry.applications.api.DialogV2;
+    const actor = game.tokenAutomation.tokenManager.getBaseActor(this.token);
+    const confirmed = await DialogV2.confirm({
+      window: { title: 'TAM.Templates.SaveTemplate' },
+      content: `<p>${game.i18n.format('TAM.Templates.SaveConfirm', { actor: actor.name })}</p>`
+    });
+    if (!confirmed) return;
+
+    // The template is taken from the saved token, so save pending edits first
+    const queueManager = game.tokenAutomation.actionQueueManager;
+    this._syncFromForm();
+    if (!await queueManager.setQueue(this.token, this.actions)) return;
+
+    if (await queueManager.saveAsTemplate(this.token)) {
+      ui.notifications.info(game.i18n.format('TAM.Templates.Saved', { actor: actor.name }));
+    } else {
+      ui.notifications.error(game.i18n.localize('TAM.ActionQueue.SaveError'));
+    }
+    this.actions = queueManager.getSortedActions(this.token);
+    this.render();
+  }
+
+  static async #onRevertToTemplate(event, target) {
+    const DialogV2 = foundry.applications.api.DialogV2;
+    const confirmed = await DialogV2.confirm({
+      window: { title: 'TAM.Templates.Revert' },
+      content: `<p>${game.i18n.format('TAM.Templates.RevertConfirm', { name: this.token.name })}</p>`
+    });
+    if (!confirmed) return;
+
+    const queueManager = game.tokenAutomation.actionQueueManager;
+    await queueManager.clearOverride(this.token);
+    this.actions = queueManager.getSortedActions(this.token);
+    this.expanded.clear();
+    this.validationErrors = [];
+    this.render();
+  }
+
+  static #onOpenPresets(event, target) {
+    QueuePresetBrowser.open(this.token);
+  }
+
+  static async #onPlanTurn(event, target) {
+    this._syncFromForm();
+
+    // Plan the working copy, so unsaved edits can be checked before saving
+    const actions = this.actions
+      .filter(a => a.enabled && !a.isTriggeredReaction())
+      .map(a => ActionQueueItem.fromObject(a.toObject()));
+    const plan = await game.tokenAutomation.actionExecutor.planQueue(this.token, actions);
+
+    const render = foundry.applications.handlebars?.renderTemplate ?? renderTemplate;
+    const content = await render('modules/token-automation-manager/templates/turn-plan.hbs', {
+      ...plan,
+      steps: plan.steps.map(step => ({
+        ...step,
+        statusLabel: `TAM.Plan.Status.${step.status}`,
+        failed: step.success === false
+      }))
+    });
+
+    await foundry.applications.api.DialogV2.prompt({
+      window: { title: `${game.i18n.localize('TAM.Plan.Title')}: ${this.token.name}` },
+      position: { width: 520 },
+      content,
+      ok: { label: 'TAM.Plan.Close' },
+      rejectClose: false
+    });
+  }
+}
@@ -3,6 +3,12 @@
  */
 
 import { MODULE_ID, debugLog } from './main.js';
+import { validateCondition } from './condition-expression.js';
+import { QUEUE_SCHEMA_VERSION } from './queue-migrations.js';
+import { TemplateSource } from './token-manager.js';
+import { validateSchedule } from './action-schedule.js';
+import { validateMemory } from './blackboard.js';
+import { validateScriptData } from './script-system.js';
 
 /**
  * Action types supported by the queue
@@ -14,9 +20,35 @@ export const ActionType = {
   ITEM: 'item',
   BONUS_ACTION: 'bonusAction',
   REACTION: 'reaction',
+  MACRO: 'macro',
   END_TURN: 'endTurn'
 };
 
+/**
+ * Turn resources an action can consume
+ */
+export const ActionCost = {
+  ACTION: 'action',
+  BONUS_ACTION: 'bonusAction',
+  REACTION: 'reaction',
+  MOVEMENT: 'movement',
+  FREE: 'free'
+};
+
+/**
+ * Cost used when an action does not declare one
+ */
+const DEFAULT_ACTION_COSTS = {
+  [ActionType.MOVEMENT]: ActionCost.MOVEMENT,
+  [ActionType.ATTACK]: ActionCost.ACTION,
+  [ActionType.SPELL]: ActionCost.ACTION,
+  [ActionType.ITEM]: ActionCost.ACTION,
+  [ActionType.BONUS_ACTION]: ActionCost.BONUS_ACTION,
+  [ActionType.REACTION]: ActionCost.REACTION,
+  [ActionType.MACRO]: ActionCost.ACTION,
+  [ActionType.END_TURN]: ActionCost.FREE
+};
+
 /**
  * Condition types for conditional actions
  */
@@ -30,9 +62,117 @@ export const ConditionType = {
   SAVE_SUCCESS: 'saveSuccess',
   SAVE_FAILURE: 'saveFailure',
   HAS_ADVANTAGE: 'hasAdvantage',
-  HAS_DISADVANTAGE: 'hasDisadvantage'
+  HAS_DISADVANTAGE: 'hasDisadvantage',
+  
+  // Compound conditions
+  ALL: 'all',             // {type: 'all', conditions: [...]} - every condition must pass
+  ANY: 'any',             // {type: 'any', conditions: [...]} - at least one must pass
+  NOT: 'not',             // {type: 'not', conditions: [condition]} - inverts one condition
+  EXPRESSION: 'expression' // {type: 'expression', value: 'hp < 50 and slot(3) > 0'}
+};
+
+/**
+ * Special branch targets for onSuccess/onFailure
+ */
+export const BranchTarget = {
+  END: '@end' // Stop executing the queue for this turn
 };
 
+/**
+ * Off-turn events that fire a REACTION entry
+ */
+export const ReactionTrigger = {
+  OPPORTUNITY_ATTACK: 'opportunityAttack', // A hostile leaves the reach of the reaction's item
+  TARGETED_BY_ATTACK: 'targetedByAttack'   // This token is targeted by a MIDI attack roll
+};
+
+/**
+ * Target priorities understood by AttackSystem
+ */
+const TARGET_PRIORITIES = ['nearest', 'furthest', 'lowestHP', 'highestHP', 'lowestAC', 'highestAC', 'lastTarget', 'lastAttacker'];
+
+/**
+ * Movement target types understood by MovementSystem
+ */
+const MOVEMENT_TARGET_TYPES = ['waypoint', 'nearestEnemy', 'token', 'follow', 'guard', 'flee'];
+
+/**
+ * Check the shape of one plain action object, as read from an import file
+ * @param {Object} action - Plain action data
+ * @param {string} path - Path of the action in the file, e.g. "actions.2"
+ * @param {Set<string>} actionIds - IDs of every action in the file, for branch targets
+ * @returns {Array<Object>} Errors of shape {path, message}
+ */
+function validateActionSchema(action, path, actionIds) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    return [{ path, message: 'Must be an action object' }];
+  }
+  
+  const errors = [];
+  const error = (field, message) => errors.push({ path: `${path}.${field}`, message });
+  
+  if (!Object.values(ActionType).includes(action.type)) error('type', `Unknown action type "${action.type}"`);
+  if (action.name != null && typeof action.name !== 'string') error('name', 'Must be text');
+  if (action.enabled != null && typeof action.enabled !== 'boolean') error('enabled', 'Must be true or false');
+  if (action.order != null && !Number.isFinite(action.order)) error('order', 'Must be a number');
+  if (action.cost != null && !Object.values(ActionCost).includes(action.cost)) error('cost', `Unknown cost "${action.cost}"`);
+  
+  errors.push(...validateCondition(action.conditions ?? { type: ConditionType.ALWAYS }, `${path}.conditions`));
+  errors.push(...validateSchedule(action.schedule, `${path}.schedule`));
+  errors.push(...validateMemory(action.memory, `${path}.memory`));
+  
+  for (const key of ['onSuccess', 'onFailure']) {
+    const target = action[key];
+    if (target == null || target === BranchTarget.END) continue;
+    if (!actionIds.has(target)) error(key, `Branches to "${target}", which is not in this file`);
+  }
+  
+  if (action.trigger != null) {
+    if (action.type !== ActionType.REACTION) error('trigger', 'Only reactions can have a trigger');
+    else if (!Object.values(ReactionTrigger).includes(action.trigger.type)) {
+      error('trigger.type', `Unknown reaction trigger "${action.trigger.type}"`);
+    }
+  }
+  
+  const data = action.data ?? {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    error('data', 'Must be an object');
+    return errors;
+  }
+  
+  if (action.type === ActionType.MOVEMENT) {
+    if (data.targetType != null && !MOVEMENT_TARGET_TYPES.includes(data.targetType)) {
+      error('data.targetType', `Unknown movement target "${data.targetType}"`);
+    }
+    if (data.waypoints != null && (!Array.isArray(data.waypoints)
+      || data.waypoints.some(p => !Number.isFinite(p?.x) || !Number.isFinite(p?.y)))) {
+      error('data.waypoints', 'Must be a list of {x, y} points');
+    }
+    if (data.maxDistance != null && !(Number.isFinite(data.maxDistance) && data.maxDistance >= 0)) {
+      error('data.maxDistance', 'Must be a positive number');
+    }
+    if (data.formationOffset != null && (!Number.isFinite(data.formationOffset.x) || !Number.isFinite(data.formationOffset.y))) {
+      error('data.formationOffset', 'Must be an {x, y} offset in grid squares');
+    }
+    if (data.useRallyPoints != null && typeof data.useRallyPoints !== 'boolean') {
+      error('data.useRallyPoints', 'Must be true or false');
+    }
+  } else if (action.type === ActionType.MACRO) {
+    errors.push(...validateScriptData(data, `${path}.data`));
+  } else if (action.type !== ActionType.END_TURN) {
+    if (data.itemUuid != null && typeof data.itemUuid !== 'string') error('data.itemUuid', 'Must be an item UUID');
+    if (data.targetPriority != null && (!Array.isArray(data.targetPriority)
+      || data.targetPriority.some(p => !TARGET_PRIORITIES.includes(p)))) {
+      error('data.targetPriority', `Must be a list of: ${TARGET_PRIORITIES.join(', ')}`);
+    }
+    if (data.advantageOverride != null && typeof data.advantageOverride !== 'boolean') {
+      error('data.advantageOverride', 'Must be true, false or null');
+    }
+  }
+  
+  return errors;
+}
+
 /**
  * Action Queue Item
  */
@@ -54,9 +194,21 @@ export class ActionQueueItem {
     // Action-specific data
     this.data = data.data || {};
     
+    // Turn resource consumed (ActionCost); null uses the default for the action type
+    this.cost = data.cost || null;
+    
     // Conditional branching
-    this.onSuccess = data.onSuccess || null; // Action ID to execute on success
-    this.onFailure = data.onFailure || null; // Action ID to execute on failure
+    this.onSuccess = data.onSuccess || null; // Action ID (or BranchTarget.END) to jump to on success
+    this.onFailure = data.onFailure || null; // Action ID (or BranchTarget.END) to jump to on failure
+    
+    // Off-turn trigger for REACTION entries: {type: ReactionTrigger, onlyIfHit: boolean}
+    this.trigger = data.trigger || null;
+    
+    // Round window, cooldown and use limit: {fromRound, untilRound, everyRounds, cooldown, maxUses}
+    this.schedule = data.schedule || null;
+    
+    // Blackboard writes after execution: [{key, op: MemoryOperation, value, when: 'success'|'failure'|'always'}]
+    this.memory = data.memory || [];
   }
   
   /**
@@ -72,11 +224,31 @@ export class ActionQueueItem {
       description: this.description,
       conditions: this.conditions,
       data: this.data,
+      cost: this.cost,
       onSuccess: this.onSuccess,
-      onFailure: this.onFailure
+      onFailure: this.onFailure,
+      trigger: this.trigger,
+      schedule: this.schedule,
+      memory: this.memory
     };
   }
   
+  /**
+   * Get the turn resource this action consumes
+   * @returns {string} ActionCost value
+   */
+  getCost() {
+    return this.cost || DEFAULT_ACTION_COSTS[this.type] || ActionCost.ACTION;
+  }
+  
+  /**
+   * Whether this is a reaction fired by an off-turn trigger rather than the turn flow
+   * @returns {boolean}
+   */
+  isTriggeredReaction() {
+    return this.type === ActionType.REACTION && !!this.trigger?.type;
+  }
+  
   /**
    * Create from plain object
    */
@@ -94,7 +266,9 @@ export class MovementActionData {
     this.maxDistance = data.maxDistance || null;
     this.avoidOpportunityAttacks = data.avoidOpportunityAttacks !== false;
     this.targetType = data.targetType || 'waypoint'; // waypoint, nearestEnemy, furthest, etc.
-    this.targetId = data.targetId || null;
+    this.targetId = data.targetId || null; // Token to reach; the ally or ward for follow and guard
+    this.formationOffset = data.formationOffset || null; // {x, y} in grid squares from the followed ally
+    this.useRallyPoints = data.useRallyPoints !== false; // Flee to the scene's rally points when it has any
   }
 }
 
@@ -106,17 +280,130 @@ export class AttackActionData {
     this.itemUuid = data.itemUuid || null;
     this.targetPriority = data.targetPriority || ['nearest']; // nearest, lowestHP, highestHP, etc.
     this.targetId = data.targetId || null; // Specific target
-    this.advantageOverride = data.advantageOverride || null; // true, false, null (auto)
+    this.advantageOverride = data.advantageOverride ?? null; // true, false, null (auto)
     this.consumeResource = data.consumeResource !== false;
   }
 }
 
+/**
+ * Macro Action Data
+ */
+export class ScriptActionData {
+  constructor(data = {}) {
+    this.macroUuid = data.macroUuid || null; // Macro to run; takes precedence over the script
+    this.script = data.script || '';         // Inline script body (async, receives the scope as arguments)
+    this.timeout = data.timeout || null;     // Seconds before the queue stops waiting (null = default)
+    this.authorId = data.authorId || null;   // User who saved the inline script; it only runs while they may write scripts
+  }
+}
+
 /**
  * Action Queue Manager
  */
 export class ActionQueueManager {
   constructor() {
     this.FLAG_KEY = 'actionQueue';
+    this.trustedScripts = new Set(); // "authorId|script" pairs a GM saw stored by someone allowed to write them
+  }
+  
+  /**
+   * Initialize script author checks
+   */
+  init() {
+    if (game.user.isGM) this.rememberStoredScripts();
+    Hooks.on('createToken', (doc, options, userId) => this.checkScriptAuthors(doc, doc.flags, userId));
+    Hooks.on('updateToken', (doc, changes, options, userId) => this.checkScriptAuthors(doc, changes.flags, userId));
+    Hooks.on('updateActor', (actor, changes, options, userId) => {
+      this.checkScriptAuthors(actor, changes.flags, userId);
+      this.checkScriptAuthors(actor, changes.prototypeToken?.flags, userId, 'prototypeToken.');
+    });
+  }
+  
+  /**
+   * Record the current user as the author of the inline scripts they added or edited in a
+   * queue being saved. Scripts that are already stored keep their author.
+   * @param {Array<Object>} actions - Plain action data
+   * @param {Array<Object>} stored - Plain actions stored where the queue is saved
+   * @returns {Array<Object>}
+   */
+  signScripts(actions, stored = []) {
+    return actions.map(action => {
+      if (action.type !== ActionType.MACRO || !action.data?.script?.trim()) return action;
+      const original = this.findStoredScript(action.id, action.data.script, stored);
+      const authorId = original ? original.data.authorId ?? null : game.user.id;
+      return { ...action, data: { ...action.data, authorId } };
+    });
+  }
+  
+  /**
+   * Find a stored inline script with the same text, preferring the same action
+   * @param {string} actionId - The action being saved
+   * @param {string} script - Its script text
+   * @param {Array<Object>} stored - Plain actions stored where the queue is saved
+   * @returns {Object|null} The stored action
+   */
+  findStoredScript(actionId, script, stored = []) {
+    const same = a => a.type === ActionType.MACRO && a.data?.script === script;
+    return stored.find(a => a.id === actionId && same(a)) ?? stored.find(same) ?? null;
+  }
+  
+  /**
+   * Remember the script authors stored when this GM logged in, so players may save queues
+   * holding scripts they did not write without those scripts being taken over
+   */
+  rememberStoredScripts() {
+    const queueOf = doc => foundry.utils.getProperty(doc, `flags.${MODULE_ID}.${this.FLAG_KEY}.actions`);
+    for (const actor of game.actors) {
+      this.rememberScripts(queueOf(actor));
+      this.rememberScripts(queueOf(actor.prototypeToken));
+    }
+    for (const scene of game.scenes) {
+      for (const token of scene.tokens) this.rememberScripts(queueOf(token));
+    }
+  }
+  
+  /**
+   * Trust the authors of a queue's inline scripts
+   * @param {Array<Object>} actions - Plain action data
+   */
+  rememberScripts(actions) {
+    if (!Array.isArray(actions)) return;
+    for (const action of actions) {
+      if (action.type === ActionType.MACRO && action.data?.script?.trim() && action.data.authorId) {
+        this.trustedScripts.add(`${action.data.authorId}|${action.data.script}`);
+      }
+    }
+  }
+  
+  /**
+   * Queue flags written directly (setFlag, document updates) skip setQueue(). When a user who
+   * may not write scripts stores inline scripts, the active GM marks that user as their author,
+   * so the scripts are refused instead of running as whoever they claim wrote them. Scripts
+   * the GMs already saw stored with that author are left alone.
+   * @param {Document} doc - Token or actor that was written
+   * @param {Object} flags - Flags in the change
+   * @param {string} userId - The writing user
+   * @param {string} path - Path of the flags on the document
+   */
+  async checkScriptAuthors(doc, flags, userId, path = '') {
+    if (!Array.isArray(flags?.[MODULE_ID]?.[this.FLAG_KEY]?.actions)) return;
+    
+    const user = game.users.get(userId);
+    if (!user || !game.user.isGM) return;
+    
+    const stored = foundry.utils.getProperty(doc, `${path}flags.${MODULE_ID}.${this.FLAG_KEY}.actions`) ?? [];
+    if (user.can('MACRO_SCRIPT')) return this.rememberScripts(stored);
+    
+    const activeGM = game.users.activeGM ?? game.users.find(u => u.isGM && u.active);
+    if (activeGM?.id !== game.user.id) return;
+    
+    const isForged = a => a.type === ActionType.MACRO && a.data?.script?.trim() && a.data.authorId !== userId
+      && !this.trustedScripts.has(`${a.data.authorId}|${a.data.script}`);
+    if (!stored.some(isForged)) return;
+    
+    console.warn(`Token Automation Manager | ${user.name} stored inline scripts on ${doc.name}; they will not run`);
+    const actions = stored.map(a => (isForged(a) ? { ...a, data: { ...a.data, authorId: userId } } : a));
+    await doc.update({ [`${path}flags.${MODULE_ID}.${this.FLAG_KEY}.actions`]: actions });
   }
   
   /**
@@ -124,7 +411,7 @@ export class ActionQueueManager {
    */
   getQueue(token) {
     try {
-      const queueData = token.document.getFlag(MODULE_ID, this.FLAG_KEY);
+      const queueData = this.getQueueData(token);
       if (!queueData) return [];
       
       return queueData.actions?.map(a => ActionQueueItem.fromObject(a)) || [];
@@ -134,18 +421,238 @@ export class ActionQueueManager {
     }
   }
   
+  /**
+   * Read a token's queue, upgraded to the current schema in memory. Tokens without a
+   * queue of their own use their prototype token's or actor's, with items rebound to
+   * the token's actor (an unlinked token has its own copies of the actor's items).
+   * @param {Token} token - The token
+   * @returns {Object|null}
+   */
+  getQueueData(token) {
+    const { source, value } = this.getQueueSource(token);
+    if (!value) return null;
+    
+    const migrator = game.tokenAutomation?.queueMigrator;
+    const queueData = migrator?.needsMigration(value) ? migrator.migrate(value).data : value;
+    if (source === TemplateSource.TOKEN || !Array.isArray(queueData.actions)) return queueData;
+    
+    return {
+      ...queueData,
+      actions: queueData.actions.map(action => this.bindToActor(action, token.actor))
+    };
+  }
+  
+  /**
+   * Find where a token's queue is defined
+   * @param {Token} token - The token
+   * @returns {Object} {source, value}, where source is a TemplateSource or null
+   */
+  getQueueSource(token) {
+    const tokenManager = game.tokenAutomation?.tokenManager;
+    if (tokenManager) return tokenManager.resolveFlag(token, this.FLAG_KEY);
+    
+    const value = token.document.getFlag(MODULE_ID, this.FLAG_KEY);
+    return { source: value ? TemplateSource.TOKEN : null, value };
+  }
+  
+  /**
+   * Point a plain action's item at the matching item of an actor
+   * @param {Object} action - Plain action data
+   * @param {Actor} actor - Actor that will use the item
+   * @returns {Object} The action, or a copy with its item UUID replaced
+   */
+  bindToActor(action, actor) {
+    const itemUuid = action.data?.itemUuid;
+    if (!itemUuid || !actor) return action;
+    
+    const resolved = this.resolveItem(actor, itemUuid);
+    if (!resolved?.rebound) return action;
+    return { ...action, data: { ...action.data, itemUuid: resolved.item.uuid } };
+  }
+  
+  /**
+   * Store a token's current queue and auto-initiative setting on the actor it was placed
+   * from, and remove the token's own copies so it follows the template
+   * @param {Token} token - The token to copy from
+   * @returns {Promise<boolean>}
+   */
+  async saveAsTemplate(token) {
+    const tokenManager = game.tokenAutomation.tokenManager;
+    const actor = tokenManager.getBaseActor(token);
+    if (!actor) return false;
+    
+    const queueData = this.getQueueData(token);
+    const actions = (queueData?.actions ?? []).map(a => ActionQueueItem.fromObject(a));
+    const saved = await this.setTemplate(actor, actions, {
+      enabled: queueData?.enabled === true,
+      stored: queueData?.actions ?? []
+    });
+    if (!saved) return false;
+    
+    await tokenManager.setTemplateAutoInit(actor, tokenManager.isAutoInitEnabled(token));
+    await this.clearOverride(token);
+    await tokenManager.clearAutoInitOverride(token);
+    return true;
+  }
+  
+  /**
+   * Set the queue inherited by every token placed from an actor
+   * @param {Actor} actor - World actor
+   * @param {Array<ActionQueueItem>} actions - Actions
+   * @param {Object} options
+   * @param {boolean} options.enabled - Whether inheriting tokens run the queue
+   * @param {Array<Object>} options.stored - Plain actions the queue was copied from, whose
+   *   inline scripts keep their authors
+   * @returns {Promise<boolean>}
+   */
+  async setTemplate(actor, actions, { enabled = true, stored = [] } = {}) {
+    stored = [...stored, ...(actor.getFlag(MODULE_ID, this.FLAG_KEY)?.actions ?? [])];
+    const errors = this.validateQueue(actions, stored);
+    if (errors.length > 0) {
+      console.error('Token Automation Manager | Invalid action queue template:', errors);
+      return false;
+    }
+    
+    // Store the world actor's own item UUIDs, whichever token the queue came from
+    const queueData = {
+      version: QUEUE_SCHEMA_VERSION,
+      enabled,
+      actions: this.signScripts(actions.map(a => this.bindToActor(a.toObject(), actor)), stored)
+    };
+    
+    try {
+      await actor.setFlag(MODULE_ID, this.FLAG_KEY, queueData);
+      debugLog(`Action queue template updated for ${actor.name}:`, queueData);
+      return true;
+    } catch (error) {
+      console.error('Token Automation Manager | Error setting action queue template:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Remove the queue template from an actor
+   * @param {Actor} actor - World actor
+   */
+  async clearTemplate(actor) {
+    await actor.unsetFlag(MODULE_ID, this.FLAG_KEY);
+  }
+  
+  /**
+   * Remove a token's own queue so it follows its actor's template again
+   * @param {Token} token - The token
+   */
+  async clearOverride(token) {
+    await token.document.unsetFlag(MODULE_ID, this.FLAG_KEY);
+  }
+  
+  /**
+   * Write a token's queue flag. Data still stored at an older schema is backed up first,
+   * and the upgrade is reported to the GMs the way the world migration reports it.
+   * @param {Token} token - The token
+   * @param {Object} queueData - Queue data at the current schema
+   * @param {Object} options
+   * @param {Object} options.report - Migration report to add to instead of posting one
+   */
+  async writeQueueData(token, queueData, { report = null } = {}) {
+    const migrator = game.tokenAutomation?.queueMigrator;
+    const ownReport = report ?? { total: 0, migrated: [], unsupported: [], failed: [] };
+    const backup = migrator?.prepareMigration(token.document, ownReport, { scene: token.scene?.name ?? null }) ?? {};
+    
+    await token.document.update({
+      ...backup,
+      [`flags.${MODULE_ID}.${this.FLAG_KEY}`]: queueData
+    });
+    
+    const { migrated, unsupported, failed } = ownReport;
+    if (!report && (migrated.length || unsupported.length || failed.length)) {
+      await migrator.postReport(ownReport);
+    }
+  }
+  
+  /**
+   * Validate actions before they are stored
+   * @param {Array<ActionQueueItem>} actions - Actions to validate
+   * @param {Array<Object>} stored - Plain actions stored where the queue is saved
+   * @returns {Array<Object>} Errors of shape {actionId, name, path, message}
+   */
+  validateQueue(actions, stored = []) {
+    const errors = [];
+    
+    for (const action of actions) {
+      for (const error of validateCondition(action.conditions)) {
+        errors.push({ actionId: action.id, name: action.name, ...error });
+      }
+      
+      for (const error of validateSchedule(action.schedule)) {
+        errors.push({ actionId: action.id, name: action.name, ...error });
+      }
+      
+      for (const error of validateMemory(action.memory)) {
+        errors.push({ actionId: action.id, name: action.name, ...error });
+      }
+      
+      if (action.type === ActionType.MACRO) {
+        const unchanged = !!this.findStoredScript(action.id, action.data?.script, stored);
+        for (const error of this.validateScriptAction(action.data ?? {}, 'data', unchanged)) {
+          errors.push({ actionId: action.id, name: action.name, ...error });
+        }
+      }
+      
+      const triggerType = action.trigger?.type;
+      if (triggerType && !Object.values(ReactionTrigger).includes(triggerType)) {
+        errors.push({
+          actionId: action.id,
+          name: action.name,
+          path: 'trigger.type',
+          message: `Unknown reaction trigger "${triggerType}"`
+        });
+      }
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Check a macro action's data, and that the current user may write its inline script
+   * @param {Object} data - {macroUuid, script, timeout}
+   * @param {string} path - Path for error reports
+   * @param {boolean} unchanged - The script is already stored as is, so no permission is needed
+   * @returns {Array<Object>} Errors of shape {path, message}
+   */
+  validateScriptAction(data, path = 'data', unchanged = false) {
+    const errors = validateScriptData(data, path);
+    if (data.script?.trim() && !unchanged && !game.user.can('MACRO_SCRIPT')) {
+      errors.push({ path: `${path}.script`, message: 'You do not have permission to write scripts' });
+    }
+    return errors;
+  }
+  
   /**
    * Set action queue for a token
    */
   async setQueue(token, actions) {
+    const stored = this.getQueueData(token)?.actions ?? [];
+    const errors = this.validateQueue(actions, stored);
+    if (errors.length > 0) {
+      console.error('Token Automation Manager | Invalid action queue:', errors);
+      ui.notifications.error(game.i18n.format('TAM.Notifications.InvalidQueue', {
+        name: errors[0].name,
+        message: errors[0].message
+      }));
+      return false;
+    }
+    
     try {
+      // Keep the current enabled state; new queues start enabled
+      const existing = this.getQueueData(token);
       const queueData = {
-        version: '1.0.0',
-        enabled: true,
-        actions: actions.map(a => a.toObject())
+        version: QUEUE_SCHEMA_VERSION,
+        enabled: existing ? existing.enabled === true : true,
+        actions: this.signScripts(actions.map(a => a.toObject()), stored)
       };
       
-      await token.document.setFlag(MODULE_ID, this.FLAG_KEY, queueData);
+      await this.writeQueueData(token, queueData);
       debugLog(`Action queue updated for ${token.name}:`, queueData);
       
       return true;
@@ -225,7 +732,7 @@ export class ActionQueueManager {
    */
   isQueueEnabled(token) {
     try {
-      const queueData = token.document.getFlag(MODULE_ID, this.FLAG_KEY);
+      const queueData = this.getQueueData(token);
       return queueData?.enabled === true;
     } catch (error) {
       return false;
@@ -237,13 +744,13 @@ export class ActionQueueManager {
    */
   async setQueueEnabled(token, enabled) {
     try {
-      const queueData = token.document.getFlag(MODULE_ID, this.FLAG_KEY) || {
-        version: '1.0.0',
+      const queueData = foundry.utils.deepClone(this.getQueueData(token)) || {
+        version: QUEUE_SCHEMA_VERSION,
         actions: []
       };
       
       queueData.enabled = enabled;
-      await token.document.setFlag(MODULE_ID, this.FLAG_KEY, queueData);
+      await this.writeQueueData(token, queueData);
       
       return true;
     } catch (error) {
@@ -267,6 +774,22 @@ export class ActionQueueManager {
     return this.getSortedActions(token).filter(a => a.enabled);
   }
   
+  /**
+   * Get the enabled actions that run on the token's own turn
+   */
+  getTurnActions(token) {
+    return this.getEnabledActions(token).filter(a => !a.isTriggeredReaction());
+  }
+  
+  /**
+   * Get the enabled reactions fired by a trigger
+   * @param {Token} token - The token
+   * @param {string} triggerType - ReactionTrigger value
+   */
+  getReactions(token, triggerType) {
+    return this.getEnabledActions(token).filter(a => a.isTriggeredReaction() && a.trigger.type === triggerType);
+  }
+  
   /**
    * Duplicate an action
    */
@@ -287,51 +810,216 @@ export class ActionQueueManager {
   }
   
   /**
-   * Export queue to JSON
+   * Find the item an action should use on an actor. The stored UUID is tried first, then
+   * an item of the same ID (a linked actor's item seen from an unlinked token, or vice
+   * versa), then the dnd5e identifier, then name and type.
+   * @param {Actor} actor - Actor that will use the item
+   * @param {string} itemUuid - Stored item UUID
+   * @param {Object} hint - Known details of the original item: {name, type, identifier}
+   * @returns {Object|null} {item, rebound}, where rebound means the UUID changed
+   */
+  resolveItem(actor, itemUuid, hint = {}) {
+    if (!actor || !itemUuid) return null;
+    
+    const original = fromUuidSync(itemUuid, { strict: false });
+    if (original?.parent === actor) return { item: original, rebound: false };
+    
+    const name = hint.name ?? original?.name;
+    const type = hint.type ?? original?.type;
+    const identifier = hint.identifier ?? original?.system?.identifier;
+    
+    const item = actor.items.get(itemUuid.split('.').pop())
+      ?? (identifier && actor.items.find(i => i.system?.identifier === identifier))
+      ?? (name && actor.items.find(i => i.name === name && (!type || i.type === type)))
+      ?? null;
+    
+    return item ? { item, rebound: item.uuid !== itemUuid } : null;
+  }
+  
+  /**
+   * Export queue to JSON. Used items are described by name so imports can rebind them.
    */
   exportQueue(token) {
+    return JSON.stringify(this.getExportData(token), null, 2);
+  }
+  
+  /**
+   * Build the data written by exportQueue()
+   * @param {Token} token - The token
+   * @returns {Object} {version, tokenName, items, macros, actions}
+   */
+  getExportData(token) {
     const queue = this.getQueue(token);
-    return JSON.stringify({
-      version: '1.0.0',
+    const items = {};
+    const macros = {};
+    
+    for (const action of queue) {
+      const uuid = action.data?.itemUuid;
+      const item = uuid ? fromUuidSync(uuid, { strict: false }) : null;
+      if (item) items[uuid] = { name: item.name, type: item.type, identifier: item.system?.identifier ?? null };
+      
+      const macroUuid = action.data?.macroUuid;
+      const macro = macroUuid ? fromUuidSync(macroUuid, { strict: false }) : null;
+      if (macro) macros[macroUuid] = { name: macro.name };
+    }
+    
+    return {
+      version: QUEUE_SCHEMA_VERSION,
       tokenName: token.name,
+      items,
+      macros,
       actions: queue.map(a => a.toObject())
-    }, null, 2);
+    };
   }
   
   /**
-   * Import queue from JSON
+   * Import queue from JSON. Exports from older releases are migrated first. Nothing is
+   * written unless every action passes validation and every item resolves on the token's actor.
+   * @param {Token} token - Token receiving the queue
+   * @param {string} jsonString - Exported queue
+   * @param {boolean} append - Add to the current queue instead of replacing it
+   * @param {Object} options
+   * @param {Array<ActionQueueItem>} options.base - Queue to append to in place of the stored one
+   * @returns {Promise<Object>} {success, count, errors, warnings}; errors and warnings are {path, message}
    */
-  async importQueue(token, jsonString, append = false) {
+  async importQueue(token, jsonString, append = false, options = {}) {
+    let data;
     try {
-      const data = JSON.parse(jsonString);
+      data = JSON.parse(jsonString);
+    } catch (error) {
+      return { success: false, count: 0, errors: [{ path: '', message: `Invalid JSON: ${error.message}` }], warnings: [] };
+    }
+    
+    return await this.importQueueData(token, data, append, options);
+  }
+  
+  /**
+   * Import already parsed queue data, as written by exportQueue()
+   * @param {Token} token - Token receiving the queue
+   * @param {Object} data - Exported queue data; not modified
+   * @param {boolean} append - Add to the current queue instead of replacing it
+   * @param {Object} options
+   * @param {Array<ActionQueueItem>} options.base - Queue to append to in place of the stored one
+   * @returns {Promise<Object>} {success, count, errors, warnings}
+   */
+  async importQueueData(token, data, append = false, { base = null } = {}) {
+    const result = { success: false, count: 0, errors: [], warnings: [] };
+    
+    const migrator = game.tokenAutomation?.queueMigrator;
+    if (migrator?.isUnsupported(data)) {
+      result.errors.push({
+        path: 'version',
+        message: `Queue version ${migrator.getVersion(data)} is newer than this module supports (${QUEUE_SCHEMA_VERSION})`
+      });
+      return result;
+    }
+    
+    try {
+      if (migrator?.needsMigration(data)) {
+        const migration = migrator.migrate(data);
+        debugLog(`Migrated imported queue from ${migration.from} to ${migration.to}`);
+        data = migration.data;
+      }
+    } catch (error) {
+      result.errors.push({ path: 'version', message: `Could not upgrade queue data: ${error.message}` });
+      return result;
+    }
+    
+    if (!Array.isArray(data?.actions)) {
+      result.errors.push({ path: 'actions', message: 'Must be a list of actions' });
+      return result;
+    }
+    
+    // Schema
+    const actionIds = new Set();
+    data.actions.forEach((action, idx) => {
+      if (action?.id && actionIds.has(action.id)) {
+        result.errors.push({ path: `actions.${idx}.id`, message: `Duplicate action ID "${action.id}"` });
+      }
+      if (action?.id) actionIds.add(action.id);
+    });
+    data.actions.forEach((action, idx) => {
+      result.errors.push(...validateActionSchema(action, `actions.${idx}`, actionIds));
+    });
+    if (result.errors.length) return this.logImportResult(token, result);
+    
+    // References to documents in the exporting world
+    const hints = data.items ?? {};
+    const actionData = data.actions.map((action, idx) => {
+      const copy = foundry.utils.deepClone(action.data ?? {});
+      
+      if (copy.itemUuid) {
+        const resolved = this.resolveItem(token.actor, copy.itemUuid, hints[copy.itemUuid]);
+        const name = hints[copy.itemUuid]?.name ?? copy.itemUuid;
+        
+        if (!resolved) {
+          result.errors.push({ path: `actions.${idx}.data.itemUuid`, message: `${token.actor?.name ?? token.name} has no item matching "${name}"` });
+        } else if (resolved.rebound) {
+          result.warnings.push({ path: `actions.${idx}.data.itemUuid`, message: `Using ${resolved.item.name} from ${token.actor.name} for "${name}"` });
+          copy.itemUuid = resolved.item.uuid;
+        }
+      }
       
-      if (!data.actions || !Array.isArray(data.actions)) {
-        throw new Error('Invalid queue data');
+      // Macros are matched by name when the UUID belongs to another world
+      if (copy.macroUuid && !fromUuidSync(copy.macroUuid, { strict: false })) {
+        const name = data.macros?.[copy.macroUuid]?.name;
+        const macro = name ? game.macros.getName(name) : null;
+        if (macro) {
+          result.warnings.push({ path: `actions.${idx}.data.macroUuid`, message: `Using the macro ${macro.name} from this world` });
+          copy.macroUuid = macro.uuid;
+        } else {
+          result.errors.push({ path: `actions.${idx}.data.macroUuid`, message: `No macro matching "${name ?? copy.macroUuid}"` });
+        }
       }
       
-      const imported = data.actions.map(a => ActionQueueItem.fromObject(a));
+      if (copy.script?.trim() && !game.user.can('MACRO_SCRIPT')) {
+        result.errors.push({ path: `actions.${idx}.data.script`, message: 'You do not have permission to import scripts' });
+      }
       
-      let queue;
-      if (append) {
-        queue = this.getQueue(token);
-        const startOrder = queue.length;
-        imported.forEach((a, idx) => {
-          a.id = foundry.utils.randomID(); // New IDs
-          a.order = startOrder + idx;
-        });
-        queue.push(...imported);
-      } else {
-        queue = imported;
-        queue.forEach((a, idx) => {
-          a.id = foundry.utils.randomID(); // New IDs
-          a.order = idx;
-        });
+      if (copy.targetId && !token.document.parent?.tokens.get(copy.targetId)) {
+        result.warnings.push({ path: `actions.${idx}.data.targetId`, message: 'Target token is not on this scene; a target will be chosen automatically' });
+        copy.targetId = null;
       }
       
-      return await this.setQueue(token, queue);
-    } catch (error) {
-      console.error('Token Automation Manager | Error importing queue:', error);
-      return false;
+      return copy;
+    });
+    if (result.errors.length) return this.logImportResult(token, result);
+    
+    // Fresh IDs, with branch targets following the actions they point at
+    const newIds = data.actions.map(() => foundry.utils.randomID());
+    const idMap = new Map(data.actions.map((a, idx) => [a.id, newIds[idx]]));
+    const remap = target => (target && target !== BranchTarget.END ? idMap.get(target) : target) ?? null;
+    
+    const queue = append ? (base ?? this.getSortedActions(token)) : [];
+    const startOrder = queue.length;
+    const imported = data.actions.map((action, idx) => ActionQueueItem.fromObject({
+      ...action,
+      id: newIds[idx],
+      order: startOrder + idx,
+      data: actionData[idx],
+      onSuccess: remap(action.onSuccess),
+      onFailure: remap(action.onFailure)
+    }));
+    
+    result.success = await this.setQueue(token, [...queue, ...imported]);
+    result.count = result.success ? imported.length : 0;
+    return this.logImportResult(token, result);
+  }
+  
+  /**
+   * Log the outcome of an import
+   * @param {Token} token - Token receiving the queue
+   * @param {Object} result - Import result
+   * @returns {Object} The same result
+   */
+  logImportResult(token, result) {
+    if (result.errors.length) {
+      console.error(`Token Automation Manager | Queue import for ${token.name} rejected:`, result.errors);
+    }
+    if (result.warnings.length) {
+      console.warn(`Token Automation Manager | Queue import for ${token.name}:`, result.warnings);
     }
+    debugLog(`Imported ${result.count} action(s) into ${token.name}`);
+    return result;
   }
 }
@@ -0,0 +1,139 @@
+/**
+ * Action Schedule - Round windows, cooldowns and per-combat use limits for queued actions
+ */
+
+import { MODULE_ID, debugLog } from './main.js';
+
+/**
+ * Scheduling rule fields, all optional (null means no limit):
+ *   fromRound   - First round the action may run
+ *   untilRound  - Last round the action may run
+ *   everyRounds - Only every N rounds, counted from fromRound (or round 1)
+ *   cooldown    - Rounds the action is unavailable after a use
+ *   maxUses     - Uses per combat
+ */
+export const SCHEDULE_FIELDS = ['fromRound', 'untilRound', 'everyRounds', 'cooldown', 'maxUses'];
+
+/**
+ * Check the shape of an action's schedule
+ * @param {Object|null} schedule - Schedule rules
+ * @param {string} path - Path for error reports
+ * @returns {Array<Object>} Errors of shape {path, message}
+ */
+export function validateSchedule(schedule, path = 'schedule') {
+  if (schedule == null) return [];
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) return [{ path, message: 'Must be an object' }];
+
+  const errors = [];
+  for (const field of SCHEDULE_FIELDS) {
+    const value = schedule[field];
+    if (value == null) continue;
+    const minimum = field === 'cooldown' ? 0 : 1;
+    if (!Number.isInteger(value) || value < minimum) {
+      errors.push({ path: `${path}.${field}`, message: `Must be a whole number of at least ${minimum}` });
+    }
+  }
+  if (schedule.fromRound && schedule.untilRound && schedule.untilRound < schedule.fromRound) {
+    errors.push({ path: `${path}.untilRound`, message: 'Must not be before the first round' });
+  }
+  return errors;
+}
+
+/**
+ * Tracks when each combatant used its scheduled actions. Usage is stored on the combatant,
+ * so it survives reloads, is shared between clients and disappears with the combat.
+ */
+export class ActionScheduler {
+  constructor() {
+    this.FLAG_KEY = 'actionUsage';
+  }
+
+  /**
+   * Get the combatant a token acts as in the active combat
+   * @param {Token} token - The token
+   * @returns {Combatant|null}
+   */
+  getCombatant(token) {
+    return game.combat?.combatants.find(c => c.tokenId === token.id) ?? null;
+  }
+
+  /**
+   * Get a combatant's usage records
+   * @param {Combatant|null} combatant - The combatant
+   * @returns {Object} Action ID -> {uses, lastRound}
+   */
+  getUsage(combatant) {
+    return combatant?.getFlag(MODULE_ID, this.FLAG_KEY) ?? {};
+  }
+
+  /**
+   * Check whether an action's schedule allows it this round
+   * @param {ActionQueueItem} action - The action
+   * @param {Token} token - The acting token
+   * @returns {Object} {allowed, reason}
+   */
+  check(action, token) {
+    const schedule = action.schedule;
+    if (!schedule) return { allowed: true, reason: null };
+
+    const combatant = this.getCombatant(token);
+    const round = Math.max(game.combat?.round ?? 1, 1);
+    const usage = this.getUsage(combatant)[action.id];
+
+    if (schedule.fromRound && round < schedule.fromRound) {
+      return { allowed: false, reason: `Not before round ${schedule.fromRound}` };
+    }
+    if (schedule.untilRound && round > schedule.untilRound) {
+      return { allowed: false, reason: `Only until round ${schedule.untilRound}` };
+    }
+    if (schedule.everyRounds > 1 && (round - (schedule.fromRound ?? 1)) % schedule.everyRounds !== 0) {
+      return { allowed: false, reason: `Only every ${schedule.everyRounds} rounds` };
+    }
+    if (schedule.maxUses && (usage?.uses ?? 0) >= schedule.maxUses) {
+      return { allowed: false, reason: `Already used ${usage.uses} of ${schedule.maxUses} time(s) this combat` };
+    }
+    if (schedule.cooldown && usage?.lastRound != null && round - usage.lastRound <= schedule.cooldown) {
+      const remaining = schedule.cooldown - (round - usage.lastRound) + 1;
+      return { allowed: false, reason: `Cooling down (${remaining} round(s) left)` };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Record that a token used an action this round. Only scheduled actions are tracked.
+   * @param {ActionQueueItem} action - The action
+   * @param {Token} token - The acting token
+   */
+  async recordUse(action, token) {
+    if (!action.schedule) return;
+
+    const combatant = this.getCombatant(token);
+    if (!combatant) return;
+
+    const usage = this.getUsage(combatant)[action.id];
+    const record = { uses: (usage?.uses ?? 0) + 1, lastRound: game.combat.round };
+
+    try {
+      await game.tokenAutomation.executionAuthority.updateDocument(combatant, {
+        [`flags.${MODULE_ID}.${this.FLAG_KEY}.${action.id}`]: record
+      });
+      debugLog(`${token.name} used ${action.name}:`, record);
+    } catch (error) {
+      console.error('Token Automation Manager | Error recording action use:', error);
+    }
+  }
+
+  /**
+   * Forget all recorded uses in a combat, e.g. when restarting an encounter
+   * @param {Combat} combat - The combat
+   */
+  async reset(combat = game.combat) {
+    if (!combat) return;
+
+    const updates = combat.combatants
+      .filter(c => c.getFlag(MODULE_ID, this.FLAG_KEY))
+      .map(c => ({ _id: c.id, [`flags.${MODULE_ID}.-=${this.FLAG_KEY}`]: null }));
+    if (updates.length) await combat.updateEmbeddedDocuments('Combatant', updates);
+  }
+}
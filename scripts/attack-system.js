@@ -3,6 +3,18 @@
  */
 
 import { MODULE_ID, debugLog } from './main.js';
+import { ExecutionAbortedError } from './execution-control.js';
+import { TAMHook, callHook, callAllHook } from './module-hooks.js';
+
+/**
+ * Feet per distance unit, used to convert item ranges into scene units
+ */
+const FEET_PER_UNIT = {
+  ft: 1,
+  m: 10 / 3, // 5e convention: 1.5 m per 5 ft square
+  mi: 5280,
+  km: 3280.84
+};
 
 export class AttackSystem {
   constructor() {
@@ -11,23 +23,83 @@ export class AttackSystem {
   
   /**
    * Execute an attack action
+   * @param {Token} token - The attacking token
+   * @param {Object} attackData - AttackActionData
+   * @param {Object} options
+   * @param {ExecutionControl} options.control - Aborts the roll in progress
    */
-  async executeAttack(token, attackData) {
-    const { itemUuid, targetPriority, targetId, advantageOverride, consumeResource } = attackData;
+  async executeAttack(token, attackData, options = {}) {
+    const { control = null } = options;
+    
+    const { item: resolvedItem, target: resolvedTarget, error } = await this.resolveAttack(token, attackData);
+    if (error) {
+      return { success: false, error };
+    }
+    
+    // Listeners may swap the item or target, or change advantage and resource use
+    const attack = {
+      item: resolvedItem,
+      target: resolvedTarget,
+      advantageOverride: attackData.advantageOverride,
+      consumeResource: attackData.consumeResource
+    };
+    if (!callHook(TAMHook.PRE_ATTACK, token, attack)) {
+      return { success: false, error: 'Cancelled by a module' };
+    }
+    const { item, target, advantageOverride, consumeResource } = attack;
+    
+    await control?.checkpoint();
+    
+    // Target the token
+    target.setTarget(true, { user: game.user, releaseOthers: true });
+    
+    try {
+      let result;
+      
+      // Use MIDI QOL if available
+      if (this.shouldUseMidiQOL()) {
+        result = await this.executeMidiAttack(item, target, { advantageOverride, consumeResource, control });
+      } else {
+        result = await this.executeStandardAttack(item, target, { control });
+      }
+      
+      // Store result for conditional logic
+      this.lastAttackResult = result;
+      callAllHook(TAMHook.POST_ATTACK, token, result);
+      
+      return result;
+    } catch (error) {
+      if (error instanceof ExecutionAbortedError) throw error;
+      console.error('Token Automation Manager | Attack execution error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      // Clear target
+      target.setTarget(false, { user: game.user });
+    }
+  }
+  
+  /**
+   * Resolve the item and target of an attack without using or targeting anything
+   * @param {Token} token - The attacking token
+   * @param {Object} attackData - AttackActionData
+   * @returns {Promise<Object>} {item, target} or {error}
+   */
+  async resolveAttack(token, attackData) {
+    const { itemUuid, targetPriority, targetId } = attackData;
     
     if (!itemUuid) {
-      return { success: false, error: 'No item specified' };
+      return { error: 'No item specified' };
     }
     
     // Get the item
     const item = await fromUuid(itemUuid);
     if (!item) {
-      return { success: false, error: 'Item not found' };
+      return { error: 'Item not found' };
     }
     
     // Check if item can be used
     if (!this.canUseItem(item, token.actor)) {
-      return { success: false, error: 'Item cannot be used (resources, charges, etc.)' };
+      return { error: 'Item cannot be used (resources, charges, etc.)' };
     }
     
     // Select target
@@ -39,33 +111,42 @@ export class AttackSystem {
     }
     
     if (!target) {
-      return { success: false, error: 'No valid target found' };
+      return { error: 'No valid target found' };
     }
     
-    // Target the token
-    target.setTarget(true, { user: game.user, releaseOthers: true });
+    return { item, target };
+  }
+  
+  /**
+   * Work out an attack for a dry run: item, target and range, but no rolls or targeting.
+   * @param {Token} token - The attacking token
+   * @param {Object} attackData - AttackActionData
+   * @param {boolean} assumeSuccess - Report a hit (and failed saves) rather than a miss
+   * @returns {Promise<Object>} Result in the same shape as executeAttack()
+   */
+  async planAttack(token, attackData, assumeSuccess = true) {
+    const { item, target, error } = await this.resolveAttack(token, attackData);
+    if (error) {
+      return { success: false, error };
+    }
     
-    try {
-      let result;
-      
-      // Use MIDI QOL if available
-      if (this.shouldUseMidiQOL()) {
-        result = await this.executeMidiAttack(item, target, { advantageOverride, consumeResource });
-      } else {
-        result = await this.executeStandardAttack(item, target);
-      }
-      
-      // Store result for conditional logic
-      this.lastAttackResult = result;
-      
-      // Clear target
-      target.setTarget(false, { user: game.user });
-      
-      return result;
-    } catch (error) {
-      console.error('Token Automation Manager | Attack execution error:', error);
-      return { success: false, error: error.message };
+    const range = this.getItemRange(item);
+    const distance = this.measureTokenDistance(token, target);
+    if (distance > range.long) {
+      return { success: false, error: `${target.name} is out of range (${distance} > ${range.long})` };
     }
+    
+    const result = {
+      success: true,
+      type: item.hasAttack ? 'attack' : 'item',
+      targetId: target.id,
+      targetName: target.name,
+      ...(item.hasSave ? this.buildSaveResults(target, !assumeSuccess) : {}),
+      message: `Would use ${item.name} on ${target.name}${distance > range.normal ? ' at long range' : ''}`
+    };
+    if (item.hasAttack) result.hit = assumeSuccess;
+    
+    return result;
   }
   
   /**
@@ -107,11 +188,15 @@ export class AttackSystem {
    * Select target based on priority
    */
   async selectTarget(token, targetPriority) {
-    const validTargets = this.getValidTargets(token);
+    // Listeners may filter the candidates, reorder the priorities or pick the target themselves
+    const selection = { targets: this.getValidTargets(token), priority: [...targetPriority], target: null };
+    if (!callHook(TAMHook.PRE_SELECT_TARGET, token, selection)) return null;
+    if (selection.target) return selection.target;
     
+    const validTargets = selection.targets;
     if (validTargets.length === 0) return null;
     
-    for (const priority of targetPriority) {
+    for (const priority of selection.priority) {
       const target = this.selectByPriority(token, validTargets, priority);
       if (target) return target;
     }
@@ -129,7 +214,7 @@ export class AttackSystem {
     
     return tokens.filter(t => {
       // Skip self
-      if (t === token) return false;
+      if (t.id === token.id) return false;
       
       // Check disposition (enemies only)
       if (t.document.disposition !== hostile) return false;
@@ -144,6 +229,128 @@ export class AttackSystem {
     });
   }
   
+  /**
+   * Get an item's normal and long range in scene distance units.
+   * Melee attacks use reach (5 ft, or 10 ft with the reach property); thrown weapons also use their range.
+   * @param {Item|null} item - The item (null = unarmed reach)
+   * @returns {Object} {normal, long, reach}
+   */
+  getItemRange(item) {
+    const defaultReach = this.convertToSceneUnits(5, 'ft');
+    if (!item) return { normal: defaultReach, long: defaultReach, reach: defaultReach };
+    
+    const range = item.system.range ?? {};
+    const properties = item.system.properties;
+    const hasProperty = key => properties instanceof Set ? properties.has(key) : !!properties?.[key];
+    const actionType = item.system.actionType;
+    const isMelee = actionType === 'mwak' || actionType === 'msak'
+      || (item.type === 'weapon' && /M$/.test(item.system.type?.value ?? '') && !actionType);
+    
+    // Reach for melee attacks
+    let reach = 0;
+    if (isMelee) {
+      if (range.reach) reach = this.convertToSceneUnits(range.reach, range.units || 'ft');
+      else if (FEET_PER_UNIT[range.units] && range.value && !hasProperty('thr')) reach = this.convertToSceneUnits(range.value, range.units);
+      else reach = this.convertToSceneUnits(hasProperty('rch') ? 10 : 5, 'ft');
+    }
+    
+    // Range for ranged, thrown and spell attacks
+    let normal = 0;
+    let long = 0;
+    switch (range.units) {
+      case 'touch':
+        normal = long = defaultReach;
+        break;
+      case 'self':
+        normal = long = 0;
+        break;
+      case 'any':
+        normal = long = Infinity;
+        break;
+      default:
+        if (FEET_PER_UNIT[range.units]) {
+          normal = this.convertToSceneUnits(range.value ?? 0, range.units);
+          long = this.convertToSceneUnits(range.long ?? range.value ?? 0, range.units);
+        }
+    }
+    
+    if (isMelee && !hasProperty('thr')) {
+      normal = long = reach;
+    }
+    
+    normal = Math.max(normal, reach);
+    long = Math.max(long, normal);
+    
+    return { normal, long, reach };
+  }
+  
+  /**
+   * Convert a distance into the scene's distance units
+   * @param {number} value - Distance
+   * @param {string} units - Units of the distance (ft, m, mi, km)
+   * @returns {number}
+   */
+  convertToSceneUnits(value, units) {
+    const sceneUnits = canvas.scene?.grid.units || canvas.dimensions?.units || 'ft';
+    const feet = value * (FEET_PER_UNIT[units] ?? 1);
+    return feet / (FEET_PER_UNIT[sceneUnits] ?? 1);
+  }
+  
+  /**
+   * Measure the distance between two tokens edge to edge, following the scene's grid rules.
+   * Each token is reduced to the rectangle of grid-cell centres it covers, so adjacent
+   * tokens of any size are one square (5 ft) apart.
+   * @param {Token} tokenA - First token
+   * @param {Token} tokenB - Second token
+   * @returns {number} Distance in scene units
+   */
+  measureTokenDistance(tokenA, tokenB) {
+    const half = canvas.grid.size / 2;
+    const footprint = t => ({
+      minX: t.x + half,
+      maxX: t.x + Math.max(t.w - half, half),
+      minY: t.y + half,
+      maxY: t.y + Math.max(t.h - half, half)
+    });
+    
+    // Closest pair of points between two ranges on one axis
+    const closest = (minA, maxA, minB, maxB) => {
+      if (maxA < minB) return [maxA, minB];
+      if (maxB < minA) return [minA, maxB];
+      const shared = Math.max(minA, minB);
+      return [shared, shared];
+    };
+    
+    const a = footprint(tokenA);
+    const b = footprint(tokenB);
+    const [ax, bx] = closest(a.minX, a.maxX, b.minX, b.maxX);
+    const [ay, by] = closest(a.minY, a.maxY, b.minY, b.maxY);
+    
+    if (ax === bx && ay === by) return 0;
+    
+    const origin = { x: ax, y: ay };
+    const destination = { x: bx, y: by };
+    
+    if (typeof canvas.grid.measurePath === 'function') {
+      return canvas.grid.measurePath([origin, destination]).distance;
+    }
+    return canvas.grid.measureDistance(origin, destination, { gridSpaces: true });
+  }
+  
+  /**
+   * Get valid targets within an item's range
+   * @param {Token} token - The attacking token
+   * @param {Item|null} item - The item
+   * @param {boolean} useLongRange - Include long range
+   * @returns {Array<Token>}
+   */
+  getTargetsInRange(token, item, useLongRange = false) {
+    const range = this.getItemRange(item);
+    const limit = useLongRange ? range.long : range.normal;
+    
+    return this.getValidTargets(token).filter(target => this.measureTokenDistance(token, target) <= limit);
+  }
+  
   /**
    * Select target by priority
    */
@@ -167,6 +374,13 @@ export class AttackSystem {
       case 'highestAC':
         return this.getHighestACTarget(targets);
         
+      // Remembered on the blackboard; fall through to the next priority if gone or out of reach
+      case 'lastTarget':
+      case 'lastAttacker': {
+        const id = game.tokenAutomation.blackboard.get(token, priority);
+        return targets.find(t => t.id === id) ?? null;
+      }
+        
       default:
         return null;
     }
@@ -252,6 +466,81 @@ export class AttackSystem {
     }, null);
   }
   
+  /**
+   * Determine whether an attack against a target would have advantage or disadvantage.
+   * Combines MIDI QOL flags on attacker and target with 5e conditions on both.
+   * @param {Token} token - The attacking token
+   * @param {Token|null} target - The target token
+   * @param {Item|null} item - The item used for the attack
+   * @returns {Object} {advantage, disadvantage, sources}
+   */
+  getAdvantageState(token, target, item = null) {
+    const sources = { advantage: [], disadvantage: [] };
+    const actor = token.actor;
+    const actionType = item?.system.actionType; // mwak, rwak, msak, rsak
+    const isMelee = actionType === 'mwak' || actionType === 'msak';
+    
+    // MIDI flags on the attacker
+    const midi = actor?.flags['midi-qol'] || {};
+    for (const mode of ['advantage', 'disadvantage']) {
+      const flags = midi[mode] || {};
+      if (this.isMidiFlagSet(flags.all)) sources[mode].push(`midi ${mode}.all`);
+      if (this.isMidiFlagSet(flags.attack?.all)) sources[mode].push(`midi ${mode}.attack.all`);
+      if (actionType && this.isMidiFlagSet(flags.attack?.[actionType])) {
+        sources[mode].push(`midi ${mode}.attack.${actionType}`);
+      }
+    }
+    
+    // Attacker conditions
+    const attackerStatuses = actor?.statuses ?? new Set();
+    if (attackerStatuses.has('invisible')) sources.advantage.push('attacker invisible');
+    for (const status of ['blinded', 'poisoned', 'frightened', 'prone', 'restrained']) {
+      if (attackerStatuses.has(status)) sources.disadvantage.push(`attacker ${status}`);
+    }
+    if ((actor?.system.attributes.exhaustion ?? 0) >= 3) sources.disadvantage.push('attacker exhaustion');
+    
+    if (target?.actor) {
+      // MIDI flags granted by the target
+      const grants = target.actor.flags['midi-qol']?.grants || {};
+      for (const mode of ['advantage', 'disadvantage']) {
+        const flags = grants[mode]?.attack || {};
+        if (this.isMidiFlagSet(flags.all)) sources[mode].push(`target grants ${mode}`);
+        if (actionType && this.isMidiFlagSet(flags[actionType])) {
+          sources[mode].push(`target grants ${mode} (${actionType})`);
+        }
+      }
+      
+      // Target conditions
+      const targetStatuses = target.actor.statuses ?? new Set();
+      for (const status of ['blinded', 'paralyzed', 'petrified', 'restrained', 'stunned', 'unconscious']) {
+        if (targetStatuses.has(status)) sources.advantage.push(`target ${status}`);
+      }
+      if (targetStatuses.has('invisible')) sources.disadvantage.push('target invisible');
+      if (targetStatuses.has('dodging')) sources.disadvantage.push('target dodging');
+      if (targetStatuses.has('prone')) {
+        const adjacent = this.measureTokenDistance(token, target) <= this.convertToSceneUnits(5, 'ft');
+        if (isMelee || (!actionType && adjacent)) sources.advantage.push('target prone');
+        else sources.disadvantage.push('target prone (ranged)');
+      }
+    }
+    
+    return {
+      advantage: sources.advantage.length > 0,
+      disadvantage: sources.disadvantage.length > 0,
+      sources
+    };
+  }
+  
+  /**
+   * Check whether a MIDI QOL flag is set to a plain true value.
+   * Conditional (expression) flags need a MIDI workflow to evaluate and are ignored here.
+   * @param {*} value - Flag value
+   * @returns {boolean}
+   */
+  isMidiFlagSet(value) {
+    return value === true || value === 1 || value === '1' || value === 'true';
+  }
+  
   /**
    * Check if MIDI QOL should be used
    */
@@ -263,7 +552,7 @@ export class AttackSystem {
    * Execute attack using MIDI QOL
    */
   async executeMidiAttack(item, target, options = {}) {
-    const { advantageOverride, consumeResource } = options;
+    const { advantageOverride, consumeResource, control = null } = options;
     
     const workflowOptions = {
       showFullCard: false,
@@ -286,7 +575,14 @@ export class AttackSystem {
     }
     
     try {
-      const workflow = await window.MidiQOL.completeItemUse(item, {}, workflowOptions);
+      const pending = window.MidiQOL.completeItemUse(item, {}, workflowOptions);
+      let workflow;
+      try {
+        workflow = control ? await control.guard(pending) : await pending;
+      } catch (error) {
+        if (error instanceof ExecutionAbortedError) this.abortMidiWorkflow(item);
+        throw error;
+      }
       
       return {
         success: true,
@@ -294,17 +590,113 @@ export class AttackSystem {
         hit: workflow?.hitTargets?.size > 0,
         damage: workflow?.damageTotal || 0,
         critical: workflow?.isCritical || false,
+        targetId: target.id,
+        targetName: target.name,
+        ...this.getWorkflowSaveResults(workflow),
         message: `Attack with ${item.name}`
       };
     } catch (error) {
+      if (error instanceof ExecutionAbortedError) throw error;
       return { success: false, error: error.message };
     }
   }
   
+  /**
+   * Abort the MIDI workflow of an item that is still resolving
+   * @param {Item} item - The item being used
+   */
+  abortMidiWorkflow(item) {
+    const workflow = window.MidiQOL?.Workflow?.getWorkflow?.(item.uuid);
+    if (!workflow) return;
+    
+    debugLog(`Aborting MIDI workflow for ${item.name}`);
+    workflow.aborted = true;
+    if (workflow.WorkflowState_Abort) workflow.performState?.(workflow.WorkflowState_Abort);
+  }
+  
+  /**
+   * Collect token IDs from a MIDI workflow token set
+   * @param {Set<Token|TokenDocument>} tokens - Workflow token set
+   * @returns {Array<string>} Token IDs
+   */
+  getWorkflowTokenIds(tokens) {
+    return Array.from(tokens ?? [])
+      .map(t => t?.document?.id ?? t?.id)
+      .filter(id => id);
+  }
+  
+  /**
+   * Extract per-target save results from a MIDI workflow
+   * @param {Object} workflow - MIDI QOL workflow
+   * @returns {Object} {targets, saves, failedSaves} as token ID arrays
+   */
+  getWorkflowSaveResults(workflow) {
+    return {
+      targets: this.getWorkflowTokenIds(workflow?.targets),
+      saves: this.getWorkflowTokenIds(workflow?.saves),
+      failedSaves: this.getWorkflowTokenIds(workflow?.failedSaves)
+    };
+  }
+  
+  /**
+   * Roll the item's saving throw for a target (non-MIDI workflows)
+   * @param {Item} item - The item forcing the save
+   * @param {Token} target - The target token
+   * @returns {Promise<boolean|null>} True if saved, false if failed, null if no save applies
+   */
+  async rollTargetSave(item, target) {
+    const ability = item.system.save?.ability;
+    const dc = item.system.save?.dc;
+    if (!ability || !dc || !target.actor) return null;
+    
+    // Players running their own turns may not roll for targets they do not own; the GM rolls
+    const total = target.actor.isOwner
+      ? await this.rollSaveTotal(target.actor, ability)
+      : await game.tokenAutomation.executionAuthority.requestSave(item, target);
+    if (total === null || total === undefined) return null;
+    
+    const saved = total >= dc;
+    debugLog(`${target.name} ${saved ? 'saved' : 'failed'} against ${item.name} (${total} vs DC ${dc})`);
+    return saved;
+  }
+  
+  /**
+   * Roll a saving throw without dialogs
+   * @param {Actor} actor - The saving actor
+   * @param {string} ability - Ability key
+   * @returns {Promise<number|null>} The roll's total
+   */
+  async rollSaveTotal(actor, ability) {
+    let roll;
+    if (typeof actor.rollSavingThrow === 'function') {
+      const rolls = await actor.rollSavingThrow({ ability }, { configure: false });
+      roll = Array.isArray(rolls) ? rolls[0] : rolls;
+    } else {
+      roll = await actor.rollAbilitySave(ability, { fastForward: true });
+    }
+    return roll?.total ?? null;
+  }
+  
+  /**
+   * Build save result fields for a single target
+   * @param {Token} target - The target token
+   * @param {boolean|null} saved - Save outcome from rollTargetSave
+   * @returns {Object} {targets, saves, failedSaves}
+   */
+  buildSaveResults(target, saved) {
+    return {
+      targets: [target.id],
+      saves: saved === true ? [target.id] : [],
+      failedSaves: saved === false ? [target.id] : []
+    };
+  }
+  
   /**
    * Execute attack using standard Foundry methods
    */
-  async executeStandardAttack(item, target) {
+  async executeStandardAttack(item, target, options = {}) {
+    const { control = null } = options;
+    
     try {
       // Roll attack if item has an attack
       if (item.hasAttack) {
@@ -312,6 +704,11 @@ export class AttackSystem {
         const targetAC = target.actor?.system.attributes.ac.value || 10;
         const hit = attackRoll.total >= targetAC;
         
+        // Riders that force a save only apply on a hit
+        await control?.checkpoint();
+        const saved = hit && item.hasSave ? await this.rollTargetSave(item, target) : null;
+        
+        await control?.checkpoint();
         if (hit && item.hasDamage) {
           const damageRoll = await item.rollDamage();
           
@@ -321,6 +718,9 @@ export class AttackSystem {
             hit: true,
             damage: damageRoll.total,
             critical: attackRoll.total >= (item.actor?.system.attributes.ac.value || 20),
+            targetId: target.id,
+            targetName: target.name,
+            ...this.buildSaveResults(target, saved),
             message: `Hit ${target.name} for ${damageRoll.total} damage`
           };
         }
@@ -328,20 +728,28 @@ export class AttackSystem {
         return {
           success: true,
           type: 'attack',
-          hit: false,
+          hit,
           damage: 0,
-          message: `Missed ${target.name}`
+          targetId: target.id,
+          targetName: target.name,
+          ...this.buildSaveResults(target, saved),
+          message: hit ? `Hit ${target.name}` : `Missed ${target.name}`
         };
       }
       
-      // No attack roll, just use the item
+      // No attack roll, just use the item and resolve its save if it has one
       await item.use();
+      const saved = item.hasSave ? await this.rollTargetSave(item, target) : null;
       return {
         success: true,
         type: 'item',
+        targetId: target.id,
+        targetName: target.name,
+        ...this.buildSaveResults(target, saved),
         message: `Used ${item.name}`
       };
     } catch (error) {
+      if (error instanceof ExecutionAbortedError) throw error;
       return { success: false, error: error.message };
     }
   }
@@ -0,0 +1,228 @@
+/**
+ * Automation Log - Chat cards for automated turns, exportable at the end of combat
+ */
+
+import { MODULE_ID, MODULE_TITLE, debugLog } from './main.js';
+
+/**
+ * Who sees automation log chat cards
+ */
+export const AutomationLogMode = {
+  OFF: 'off',
+  GM: 'gm',
+  OWNERS: 'owners',
+  PUBLIC: 'public'
+};
+
+const CARD_TEMPLATE = 'modules/token-automation-manager/templates/automation-log-card.hbs';
+
+export class AutomationLog {
+  constructor() {
+    this.FLAG_KEY = 'automationLog';
+    this.turns = []; // Turns recorded on this client, kept even when chat cards are off
+  }
+
+  /**
+   * Initialize combat end hook
+   */
+  init() {
+    Hooks.on('deleteCombat', this.onDeleteCombat.bind(this));
+    debugLog('Automation Log initialized');
+  }
+
+  /**
+   * Summarize an automated turn (or reaction) and post it to chat
+   * @param {Token} token - The acting token
+   * @param {Object} trace - Execution trace from ActionExecutor
+   */
+  async recordTurn(token, trace) {
+    if (!trace.entries.length) return;
+
+    const turn = {
+      id: foundry.utils.randomID(),
+      ...trace,
+      actorName: token.actor?.name ?? token.name,
+      sceneId: token.scene?.id ?? canvas.scene?.id ?? null,
+      timestamp: Date.now(),
+      entries: trace.entries.map(entry => ({ ...entry }))
+    };
+    this.turns.push(turn);
+
+    // Turns run on players' clients still belong in the GM's end-of-combat export
+    if (!game.user.isGM) game.tokenAutomation.executionAuthority?.shareLogTurn(turn);
+
+    const mode = game.settings.get(MODULE_ID, 'automationLog');
+    if (mode === AutomationLogMode.OFF) return;
+
+    try {
+      const content = await this.renderTurn(turn);
+      const messageData = {
+        content,
+        speaker: ChatMessage.getSpeaker({ token: token.document }),
+        flags: { [MODULE_ID]: { [this.FLAG_KEY]: turn } }
+      };
+
+      if (mode === AutomationLogMode.GM) {
+        messageData.whisper = ChatMessage.getWhisperRecipients('GM').map(u => u.id);
+      } else if (mode === AutomationLogMode.OWNERS) {
+        messageData.whisper = game.users
+          .filter(u => token.actor?.testUserPermission(u, 'OWNER'))
+          .map(u => u.id);
+      }
+
+      await ChatMessage.create(messageData);
+    } catch (error) {
+      console.error('Token Automation Manager | Error posting automation log:', error);
+    }
+  }
+
+  /**
+   * Keep a turn recorded on another client for the export
+   * @param {string} userId - Sending user
+   * @param {Object} turn - Recorded turn
+   */
+  receiveTurn(userId, turn) {
+    if (!turn?.id || !Array.isArray(turn.entries) || !game.combats.has(turn.combatId)) return;
+    if (this.turns.some(t => t.id === turn.id)) return;
+
+    debugLog(`Received ${turn.tokenName}'s turn from ${game.users.get(userId)?.name}`);
+    this.turns.push(turn);
+  }
+
+  /**
+   * Render the log card for a turn
+   * @param {Object} turn - Recorded turn
+   * @param {Object} options
+   * @param {boolean} options.open - Render expanded
+   * @returns {Promise<string>} HTML
+   */
+  async renderTurn(turn, { open = false } = {}) {
+    const entries = turn.entries.map(entry => ({
+      ...entry,
+      statusLabel: `TAM.Log.Status.${entry.status}`,
+      failed: entry.status === 'executed' && entry.success === false,
+      hitLabel: entry.hit === true ? 'TAM.Log.Hit' : entry.hit === false ? 'TAM.Log.Miss' : null
+    }));
+
+    const executed = entries.filter(e => e.status === 'executed');
+    const render = foundry.applications.handlebars?.renderTemplate ?? renderTemplate;
+
+    return await render(CARD_TEMPLATE, {
+      ...turn,
+      entries,
+      open,
+      summary: game.i18n.format('TAM.Log.Summary', {
+        actions: executed.length,
+        hits: executed.filter(e => e.hit === true).length,
+        damage: executed.reduce((total, e) => total + (e.damage || 0), 0),
+        skipped: entries.filter(e => e.status === 'skipped').length
+      })
+    });
+  }
+
+  /**
+   * Get every recorded turn for a combat, from chat messages, this client's own records and
+   * turns players' clients sent to the GM
+   * @param {string} combatId - Combat ID
+   * @returns {Array<Object>} Turns in the order they happened
+   */
+  getCombatLog(combatId) {
+    const turns = new Map();
+
+    for (const message of game.messages) {
+      const turn = message.getFlag(MODULE_ID, this.FLAG_KEY);
+      if (turn?.combatId === combatId) turns.set(turn.id, turn);
+    }
+    for (const turn of this.turns) {
+      if (turn.combatId === combatId && !turns.has(turn.id)) turns.set(turn.id, turn);
+    }
+
+    return [...turns.values()].sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Offer to export the log when a combat ends
+   */
+  async onDeleteCombat(combat, options, userId) {
+    if (userId !== game.user.id || !game.user.isGM) return;
+
+    const turns = this.getCombatLog(combat.id);
+    this.turns = this.turns.filter(turn => turn.combatId !== combat.id);
+    if (!turns.length) return;
+
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: 'TAM.Log.ExportTitle' },
+      content: `<p>${game.i18n.format('TAM.Log.ExportContent', { count: turns.length })}</p>`,
+      buttons: [
+        { action: 'journal', label: 'TAM.Log.ExportJournal', icon: 'fas fa-book-open', default: true },
+        { action: 'json', label: 'TAM.Log.ExportJSON', icon: 'fas fa-file-export' },
+        { action: 'skip', label: 'TAM.Log.ExportSkip', icon: 'fas fa-times' }
+      ],
+      rejectClose: false
+    });
+
+    if (choice === 'journal') await this.exportToJournal(turns, combat);
+    else if (choice === 'json') this.exportToJSON(turns, combat);
+  }
+
+  /**
+   * Create a JournalEntry with one page per round
+   * @param {Array<Object>} turns - Recorded turns
+   * @param {Combat} combat - The combat they belong to
+   * @returns {Promise<JournalEntry>}
+   */
+  async exportToJournal(turns, combat) {
+    const rounds = new Map();
+    for (const turn of turns) {
+      const round = turn.round ?? 0;
+      if (!rounds.has(round)) rounds.set(round, []);
+      rounds.get(round).push(turn);
+    }
+
+    const pages = [];
+    for (const [round, roundTurns] of rounds) {
+      const cards = await Promise.all(roundTurns.map(turn => this.renderTurn(turn, { open: true })));
+      pages.push({
+        name: game.i18n.format('TAM.Log.RoundPage', { round }),
+        type: 'text',
+        text: { content: cards.join('') }
+      });
+    }
+
+    const journal = await JournalEntry.create({
+      name: this.getExportName(combat),
+      pages
+    });
+    ui.notifications.info(game.i18n.format('TAM.Log.Exported', { name: journal.name }));
+    return journal;
+  }
+
+  /**
+   * Download the log as a JSON file
+   * @param {Array<Object>} turns - Recorded turns
+   * @param {Combat} combat - The combat they belong to
+   */
+  exportToJSON(turns, combat) {
+    const data = {
+      module: MODULE_ID,
+      combatId: combat.id,
+      scene: combat.scene?.name ?? null,
+      exported: new Date().toISOString(),
+      turns
+    };
+    const save = foundry.utils.saveDataToFile ?? saveDataToFile;
+    save(JSON.stringify(data, null, 2), 'application/json', `${this.getExportName(combat).slugify()}.json`);
+  }
+
+  /**
+   * @param {Combat} combat - The combat
+   * @returns {string}
+   */
+  getExportName(combat) {
+    return game.i18n.format('TAM.Log.ExportName', {
+      title: MODULE_TITLE,
+      scene: combat.scene?.name ?? '-',
+      date: new Date().toLocaleString()
+    });
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Blackboard - Per-combatant memory that survives between turns
+ */
+
+import { MODULE_ID, debugLog } from './main.js';
+
+/**
+ * Keys the module keeps up to date by itself
+ */
+export const MemoryKey = {
+  LAST_TARGET: 'lastTarget',             // Token ID this token last attacked
+  HITS_DEALT: 'hitsDealt',               // Attacks by this token that hit
+  LAST_ATTACKER: 'lastAttacker',         // Token ID that last made this token lose HP
+  TIMES_HIT: 'timesHit',                 // Times this token lost HP
+  DAMAGE_TAKEN: 'damageTaken',           // Total HP lost
+  LAST_DAMAGED_ROUND: 'lastDamagedRound' // Round this token last lost HP
+};
+
+/**
+ * How an action's memory entry changes its key
+ */
+export const MemoryOperation = {
+  SET: 'set',     // Store the value
+  ADD: 'add',     // Add a number to the current value (counters)
+  CLEAR: 'clear'  // Forget the key
+};
+
+/**
+ * Special values resolved when a memory entry is applied
+ */
+const MEMORY_VALUES = {
+  '@target': (token, result) => result.targetId ?? null,
+  '@round': () => game.combat?.round ?? null,
+  '@self': token => token.id
+};
+
+const MEMORY_KEY_PATTERN = /^[A-Za-z_]\w*$/;
+
+/**
+ * Check the shape of an action's memory entries
+ * @param {Array<Object>} memory - Entries of shape {key, op, value, when}
+ * @param {string} path - Path for error reports
+ * @returns {Array<Object>} Errors of shape {path, message}
+ */
+export function validateMemory(memory, path = 'memory') {
+  if (memory == null) return [];
+  if (!Array.isArray(memory)) return [{ path, message: 'Must be a list of memory entries' }];
+
+  const errors = [];
+  memory.forEach((entry, idx) => {
+    if (!MEMORY_KEY_PATTERN.test(entry?.key ?? '')) {
+      errors.push({ path: `${path}.${idx}.key`, message: 'Must be a name made of letters, digits and _' });
+    }
+    if (!Object.values(MemoryOperation).includes(entry?.op)) {
+      errors.push({ path: `${path}.${idx}.op`, message: `Unknown memory operation "${entry?.op}"` });
+    }
+    if (entry?.when != null && !['success', 'failure', 'always'].includes(entry.when)) {
+      errors.push({ path: `${path}.${idx}.when`, message: 'Must be success, failure or always' });
+    }
+    if (entry?.op === MemoryOperation.ADD && !Number.isFinite(Number(entry.value ?? 1))) {
+      errors.push({ path: `${path}.${idx}.value`, message: 'Must be a number' });
+    }
+  });
+  return errors;
+}
+
+export class Blackboard {
+  constructor() {
+    this.FLAG_KEY = 'blackboard';
+    this.attackSources = new Map(); // Actor UUID -> token ID of the last item card targeting it this turn
+  }
+
+  /**
+   * Initialize damage tracking hooks
+   */
+  init() {
+    Hooks.on('preUpdateActor', this.onPreUpdateActor.bind(this));
+    Hooks.on('updateActor', this.onUpdateActor.bind(this));
+    Hooks.on('createChatMessage', this.onCreateChatMessage.bind(this));
+    Hooks.on('combatTurnChange', () => this.attackSources.clear());
+    debugLog('Blackboard initialized');
+  }
+
+  /**
+   * Get the combatant a token acts as in the active combat
+   * @param {Token} token - The token
+   * @returns {Combatant|null}
+   */
+  getCombatant(token) {
+    return game.combat?.combatants.find(c => c.tokenId === token.id) ?? null;
+  }
+
+  /**
+   * Get everything a token remembers in the active combat
+   * @param {Token} token - The token
+   * @returns {Object} Key -> value
+   */
+  getAll(token) {
+    return this.getCombatant(token)?.getFlag(MODULE_ID, this.FLAG_KEY) ?? {};
+  }
+
+  /**
+   * Read one remembered value
+   * @param {Token} token - The token
+   * @param {string} key - Memory key
+   * @returns {*} The value, or undefined
+   */
+  get(token, key) {
+    return this.getAll(token)[key];
+  }
+
+  /**
+   * Write several keys at once; null values forget their key
+   * @param {Token|Combatant} tokenOrCombatant - The token, or its combatant
+   * @param {Object} changes - Key -> value
+   * @returns {Promise<boolean>} Whether anything was stored
+   */
+  async update(tokenOrCombatant, changes) {
+    const combatant = tokenOrCombatant instanceof Combatant ? tokenOrCombatant : this.getCombatant(tokenOrCombatant);
+    if (!combatant || !Object.keys(changes).length) return false;
+
+    const update = {};
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null || value === undefined) update[`flags.${MODULE_ID}.${this.FLAG_KEY}.-=${key}`] = null;
+      else update[`flags.${MODULE_ID}.${this.FLAG_KEY}.${key}`] = value;
+    }
+
+    try {
+      // Players running their own tokens may not own the combatant
+      await game.tokenAutomation.executionAuthority.updateDocument(combatant, update);
+      debugLog(`Blackboard of ${combatant.name} updated:`, changes);
+      return true;
+    } catch (error) {
+      console.error('Token Automation Manager | Error updating blackboard:', error);
+      return false;
+    }
+  }
+
+  /**
+   * @param {Token} token - The token
+   * @param {string} key - Memory key
+   * @param {*} value - Value to remember
+   */
+  async set(token, key, value) {
+    return await this.update(token, { [key]: value });
+  }
+
+  /**
+   * Add to a counter
+   * @param {Token} token - The token
+   * @param {string} key - Memory key
+   * @param {number} amount - Amount to add
+   */
+  async increment(token, key, amount = 1) {
+    return await this.update(token, { [key]: (Number(this.get(token, key)) || 0) + amount });
+  }
+
+  /**
+   * Forget one key, or everything
+   * @param {Token} token - The token
+   * @param {string} [key] - Memory key; omit to clear the whole blackboard
+   */
+  async clear(token, key = null) {
+    if (key) return await this.update(token, { [key]: null });
+
+    const combatant = this.getCombatant(token);
+    if (!combatant) return false;
+    return await game.tokenAutomation.executionAuthority.updateDocument(combatant, {
+      [`flags.${MODULE_ID}.-=${this.FLAG_KEY}`]: null
+    });
+  }
+
+  /**
+   * Remember what an executed action did: its target and hits, plus the action's own entries
+   * @param {ActionQueueItem} action - The action
+   * @param {Token} token - The acting token
+   * @param {Object} result - The action's result
+   */
+  async recordAction(action, token, result) {
+    const memory = this.getAll(token);
+    const changes = {};
+
+    if (result.success && result.targetId) {
+      changes[MemoryKey.LAST_TARGET] = result.targetId;
+      if (result.hit === true) changes[MemoryKey.HITS_DEALT] = (memory[MemoryKey.HITS_DEALT] ?? 0) + 1;
+    }
+
+    for (const entry of action.memory ?? []) {
+      const when = entry.when ?? 'success';
+      if (when === 'success' && !result.success) continue;
+      if (when === 'failure' && result.success) continue;
+
+      const current = changes[entry.key] ?? memory[entry.key];
+      const resolve = MEMORY_VALUES[entry.value];
+      const value = resolve ? resolve(token, result) : entry.value;
+
+      switch (entry.op) {
+        case MemoryOperation.SET:
+          changes[entry.key] = value ?? null;
+          break;
+        case MemoryOperation.ADD:
+          changes[entry.key] = (Number(current) || 0) + Number(value ?? 1);
+          break;
+        case MemoryOperation.CLEAR:
+          changes[entry.key] = null;
+          break;
+      }
+    }
+
+    await this.update(token, changes);
+  }
+
+  /**
+   * Note who targeted whom with an item, so damage off the attacker's turn (opportunity
+   * attacks, reactions) is credited to the token that dealt it. dnd5e records the targets
+   * on the cards of attacks, damage rolls and saves, with MIDI QOL too.
+   */
+  onCreateChatMessage(message) {
+    const tokenId = message.speaker?.token;
+    const targets = message.flags?.dnd5e?.targets;
+    if (!game.user.isGM || !tokenId || !Array.isArray(targets)) return;
+    for (const target of targets) {
+      if (target?.uuid) this.attackSources.set(target.uuid, tokenId);
+    }
+  }
+
+  /**
+   * Note the HP before an update so the damage can be worked out afterwards, and the
+   * attacker when the damage is applied from a chat card
+   */
+  onPreUpdateActor(actor, changes, options) {
+    const hp = foundry.utils.getProperty(changes, 'system.attributes.hp.value');
+    if (hp === undefined || !game.combat?.started) return;
+    options[MODULE_ID] = {
+      ...options[MODULE_ID],
+      hpBefore: actor.system.attributes.hp.value,
+      attackerId: options.originatingMessage?.speaker?.token ?? null
+    };
+  }
+
+  /**
+   * Remember damage against every combatant of the damaged actor (active GM only)
+   */
+  async onUpdateActor(actor, changes, options) {
+    const hpBefore = options[MODULE_ID]?.hpBefore;
+    if (hpBefore === undefined || !game.combat?.started) return;
+
+    const activeGM = game.users.activeGM ?? game.users.find(u => u.isGM && u.active);
+    if (activeGM?.id !== game.user.id) return;
+
+    const damage = hpBefore - actor.system.attributes.hp.value;
+    if (!(damage > 0)) return;
+
+    // The card the damage came from, else the last item card that targeted the actor this
+    // turn, else whoever's turn it is
+    const combat = game.combat;
+    const attackerId = options[MODULE_ID].attackerId ?? this.attackSources.get(actor.uuid)
+      ?? combat.combatant?.tokenId ?? null;
+
+    for (const combatant of combat.combatants.filter(c => c.actor?.uuid === actor.uuid)) {
+      const memory = combatant.getFlag(MODULE_ID, this.FLAG_KEY) ?? {};
+      const changes = {
+        [MemoryKey.TIMES_HIT]: (memory[MemoryKey.TIMES_HIT] ?? 0) + 1,
+        [MemoryKey.DAMAGE_TAKEN]: (memory[MemoryKey.DAMAGE_TAKEN] ?? 0) + damage,
+        [MemoryKey.LAST_DAMAGED_ROUND]: combat.round
+      };
+      // Damage a token does to itself has no attacker
+      if (attackerId && attackerId !== combatant.tokenId) changes[MemoryKey.LAST_ATTACKER] = attackerId;
+
+      await this.update(combatant, changes);
+    }
+  }
+}
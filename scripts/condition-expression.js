@@ -0,0 +1,449 @@
+/**
+ * Condition Expressions - Parser and evaluator for text conditions
+ *
+ * Grammar:
+ *   expression  := or
+ *   or          := and ('or' and)*
+ *   and         := not ('and' not)*
+ *   not         := 'not' not | comparison
+ *   comparison  := primary (('<' | '<=' | '>' | '>=' | '==' | '!=') primary)?
+ *   primary     := number | string | 'true' | 'false' | call | '(' expression ')'
+ *   call        := identifier ('(' (primary (',' primary)*)? ')')?
+ *
+ * Example: hp < 50 and slot(3) > 0 and enemiesWithin(5) >= 2
+ * Example: memory("timesHit") > 0 and roundsSince("lastDamagedRound") <= 1
+ */
+
+import { ConditionType } from './action-queue.js';
+
+/**
+ * Functions available in expressions, with their accepted argument counts
+ */
+export const EXPRESSION_FUNCTIONS = {
+  hp: { minArgs: 0, maxArgs: 0 },            // HP percentage (0-100)
+  hpValue: { minArgs: 0, maxArgs: 0 },       // Current HP
+  slot: { minArgs: 1, maxArgs: 1 },          // Remaining spell slots of a level
+  resource: { minArgs: 1, maxArgs: 1 },      // Remaining uses of primary/secondary/tertiary
+  enemiesWithin: { minArgs: 1, maxArgs: 1 }, // Number of valid targets within a distance (ft)
+  round: { minArgs: 0, maxArgs: 0 },         // Current combat round
+  memory: { minArgs: 1, maxArgs: 1 },        // Value remembered on the blackboard (0 if unset)
+  roundsSince: { minArgs: 1, maxArgs: 1 },   // Rounds since the round stored in a memory key (999 if unset)
+  lastValue: { minArgs: 0, maxArgs: 0 },     // Value returned by the previous macro or script (0 if none)
+  targetInRange: { minArgs: 0, maxArgs: 1 },
+  attackHit: { minArgs: 0, maxArgs: 0 },
+  attackMiss: { minArgs: 0, maxArgs: 0 },
+  saveSuccess: { minArgs: 0, maxArgs: 1 },
+  saveFailure: { minArgs: 0, maxArgs: 1 },
+  hasAdvantage: { minArgs: 0, maxArgs: 0 },
+  hasDisadvantage: { minArgs: 0, maxArgs: 0 }
+};
+
+/**
+ * Get the condition type evaluated by a boolean expression function.
+ * Built on demand because this module and action-queue.js import each other.
+ * @param {string} name - Function name
+ * @returns {string|null} ConditionType value, or null for value functions
+ */
+export function getFunctionConditionType(name) {
+  const conditionFunctions = {
+    targetInRange: ConditionType.TARGET_IN_RANGE,
+    attackHit: ConditionType.ATTACK_HIT,
+    attackMiss: ConditionType.ATTACK_MISS,
+    saveSuccess: ConditionType.SAVE_SUCCESS,
+    saveFailure: ConditionType.SAVE_FAILURE,
+    hasAdvantage: ConditionType.HAS_ADVANTAGE,
+    hasDisadvantage: ConditionType.HAS_DISADVANTAGE
+  };
+  return conditionFunctions[name] ?? null;
+}
+
+const COMPARISON_OPERATORS = ['<', '<=', '>', '>=', '==', '!='];
+const KEYWORDS = ['and', 'or', 'not', 'true', 'false'];
+
+/**
+ * Error thrown for malformed expressions
+ */
+export class ConditionSyntaxError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at position ${position})`);
+    this.name = 'ConditionSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} text - Expression source
+ * @returns {Array<Object>} Tokens of shape {type, value, position}
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9.]/.test(char)) {
+      const match = text.slice(i).match(/^\d*\.?\d+/);
+      if (!match) throw new ConditionSyntaxError(`Invalid number`, i);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = text.indexOf(char, i + 1);
+      if (end < 0) throw new ConditionSyntaxError('Unterminated string', i);
+      tokens.push({ type: 'string', value: text.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      const word = match[0];
+      const type = KEYWORDS.includes(word.toLowerCase()) ? 'keyword' : 'identifier';
+      tokens.push({ type, value: type === 'keyword' ? word.toLowerCase() : word, position: i });
+      i += word.length;
+      continue;
+    }
+
+    const twoChar = text.slice(i, i + 2);
+    if (COMPARISON_OPERATORS.includes(twoChar)) {
+      tokens.push({ type: 'operator', value: twoChar, position: i });
+      i += 2;
+      continue;
+    }
+
+    if (COMPARISON_OPERATORS.includes(char)) {
+      tokens.push({ type: 'operator', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: 'punctuation', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw new ConditionSyntaxError(`Unexpected character "${char}"`, i);
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over a token list
+ */
+class ExpressionParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index] ?? null;
+  }
+
+  next() {
+    return this.tokens[this.index++] ?? null;
+  }
+
+  isNext(type, value) {
+    const token = this.peek();
+    return token?.type === type && (value === undefined || token.value === value);
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+      const found = token ? `"${token.value}"` : 'end of expression';
+      throw new ConditionSyntaxError(`Expected "${value ?? type}" but found ${found}`, token?.position ?? null);
+    }
+    return token;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) throw new ConditionSyntaxError('Expression is empty');
+
+    const ast = this.parseOr();
+    const trailing = this.peek();
+    if (trailing) throw new ConditionSyntaxError(`Unexpected "${trailing.value}"`, trailing.position);
+
+    return ast;
+  }
+
+  parseOr() {
+    const operands = [this.parseAnd()];
+    while (this.isNext('keyword', 'or')) {
+      this.next();
+      operands.push(this.parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { kind: 'or', operands };
+  }
+
+  parseAnd() {
+    const operands = [this.parseNot()];
+    while (this.isNext('keyword', 'and')) {
+      this.next();
+      operands.push(this.parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { kind: 'and', operands };
+  }
+
+  parseNot() {
+    if (this.isNext('keyword', 'not')) {
+      this.next();
+      return { kind: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parsePrimary();
+    if (this.isNext('operator')) {
+      const operator = this.next().value;
+      const right = this.parsePrimary();
+      return { kind: 'compare', operator, left, right };
+    }
+    return left;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) throw new ConditionSyntaxError('Unexpected end of expression');
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { kind: 'literal', value: token.value };
+
+      case 'keyword':
+        if (token.value === 'true' || token.value === 'false') {
+          return { kind: 'literal', value: token.value === 'true' };
+        }
+        throw new ConditionSyntaxError(`Unexpected "${token.value}"`, token.position);
+
+      case 'identifier':
+        return this.parseCall(token);
+
+      case 'punctuation':
+        if (token.value === '(') {
+          const inner = this.parseOr();
+          this.expect('punctuation', ')');
+          return inner;
+        }
+        throw new ConditionSyntaxError(`Unexpected "${token.value}"`, token.position);
+
+      default:
+        throw new ConditionSyntaxError(`Unexpected "${token.value}"`, token.position);
+    }
+  }
+
+  parseCall(token) {
+    const definition = EXPRESSION_FUNCTIONS[token.value];
+    if (!definition) throw new ConditionSyntaxError(`Unknown function "${token.value}"`, token.position);
+
+    const args = [];
+    if (this.isNext('punctuation', '(')) {
+      this.next();
+      if (!this.isNext('punctuation', ')')) {
+        args.push(this.parsePrimary());
+        while (this.isNext('punctuation', ',')) {
+          this.next();
+          args.push(this.parsePrimary());
+        }
+      }
+      this.expect('punctuation', ')');
+    }
+
+    if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+      const expected = definition.minArgs === definition.maxArgs
+        ? definition.minArgs
+        : `${definition.minArgs}-${definition.maxArgs}`;
+      throw new ConditionSyntaxError(
+        `"${token.value}" expects ${expected} argument(s), got ${args.length}`,
+        token.position
+      );
+    }
+
+    return { kind: 'call', name: token.value, args };
+  }
+}
+
+/**
+ * Parse an expression into an AST
+ * @param {string} text - Expression source
+ * @returns {Object} AST
+ * @throws {ConditionSyntaxError}
+ */
+export function parseConditionExpression(text) {
+  return new ExpressionParser(tokenize(String(text ?? ''))).parse();
+}
+
+/**
+ * Validate an expression without evaluating it
+ * @param {string} text - Expression source
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateConditionExpression(text) {
+  try {
+    parseConditionExpression(text);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Evaluate a parsed expression
+ * @param {Object} node - AST node
+ * @param {Function} callFunction - async (name, args) => value, resolves function calls
+ * @returns {Promise<*>}
+ */
+export async function evaluateConditionExpression(node, callFunction) {
+  switch (node.kind) {
+    case 'literal':
+      return node.value;
+
+    case 'call': {
+      const args = [];
+      for (const arg of node.args) args.push(await evaluateConditionExpression(arg, callFunction));
+      return await callFunction(node.name, args);
+    }
+
+    case 'not':
+      return !await evaluateConditionExpression(node.operand, callFunction);
+
+    case 'and':
+      for (const operand of node.operands) {
+        if (!await evaluateConditionExpression(operand, callFunction)) return false;
+      }
+      return true;
+
+    case 'or':
+      for (const operand of node.operands) {
+        if (await evaluateConditionExpression(operand, callFunction)) return true;
+      }
+      return false;
+
+    case 'compare': {
+      const left = await evaluateConditionExpression(node.left, callFunction);
+      const right = await evaluateConditionExpression(node.right, callFunction);
+      switch (node.operator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '==': return left == right;
+        case '!=': return left != right;
+      }
+      return false;
+    }
+
+    default:
+      throw new ConditionSyntaxError(`Unknown expression node "${node.kind}"`);
+  }
+}
+
+/**
+ * Convert a condition tree into equivalent expression text
+ * @param {Object} condition - Leaf, group or expression condition
+ * @returns {string}
+ */
+export function conditionToExpression(condition) {
+  if (!condition) return 'true';
+
+  const wrap = text => /\s(and|or)\s/.test(text) ? `(${text})` : text;
+  const argument = value => value === null || value === undefined || value === ''
+    ? ''
+    : JSON.stringify(value);
+
+  switch (condition.type) {
+    case ConditionType.ALL:
+    case ConditionType.ANY: {
+      const parts = (condition.conditions ?? []).map(c => wrap(conditionToExpression(c)));
+      if (parts.length === 0) return 'true';
+      return parts.join(condition.type === ConditionType.ALL ? ' and ' : ' or ');
+    }
+
+    case ConditionType.NOT:
+      return `not ${wrap(conditionToExpression(condition.conditions?.[0]))}`;
+
+    case ConditionType.EXPRESSION:
+      return condition.value || 'true';
+
+    case ConditionType.ALWAYS:
+      return 'true';
+
+    case ConditionType.HP_THRESHOLD: {
+      const match = String(condition.value ?? '').match(/([<>]=?)\s*(\d+)/);
+      return match ? `hp ${match[1]} ${match[2]}` : 'true';
+    }
+
+    case ConditionType.RESOURCE_AVAILABLE: {
+      const value = String(condition.value ?? '');
+      if (value.startsWith('spell-slot-')) return `slot(${parseInt(value.split('-')[2])}) > 0`;
+      if (value.startsWith('resource-')) return `resource("${value.split('-')[1]}") > 0`;
+      return 'true';
+    }
+
+    default: {
+      const name = Object.keys(EXPRESSION_FUNCTIONS)
+        .find(key => getFunctionConditionType(key) === condition.type);
+      return name ? `${name}(${argument(condition.value)})` : 'true';
+    }
+  }
+}
+
+/**
+ * Validate a condition tree
+ * @param {Object} condition - Leaf, group or expression condition
+ * @param {string} path - Field path used in error messages
+ * @returns {Array<Object>} Errors of shape {path, message}
+ */
+export function validateCondition(condition, path = 'conditions') {
+  if (!condition || typeof condition !== 'object') {
+    return [{ path, message: 'Condition must be an object' }];
+  }
+
+  const errors = [];
+  const knownTypes = Object.values(ConditionType);
+
+  if (!knownTypes.includes(condition.type)) {
+    errors.push({ path: `${path}.type`, message: `Unknown condition type "${condition.type}"` });
+    return errors;
+  }
+
+  switch (condition.type) {
+    case ConditionType.ALL:
+    case ConditionType.ANY:
+    case ConditionType.NOT: {
+      if (!Array.isArray(condition.conditions)) {
+        errors.push({ path: `${path}.conditions`, message: 'Condition group must contain a conditions array' });
+        break;
+      }
+      if (condition.type === ConditionType.NOT && condition.conditions.length !== 1) {
+        errors.push({ path: `${path}.conditions`, message: '"not" must contain exactly one condition' });
+      }
+      condition.conditions.forEach((child, idx) => {
+        errors.push(...validateCondition(child, `${path}.conditions.${idx}`));
+      });
+      break;
+    }
+
+    case ConditionType.EXPRESSION: {
+      const error = validateConditionExpression(condition.value);
+      if (error) errors.push({ path: `${path}.value`, message: error });
+      break;
+    }
+  }
+
+  return errors;
+}
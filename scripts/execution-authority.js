@@ -0,0 +1,418 @@
+/**
+ * Execution Authority - Elects the one client that runs each combatant's automation, and
+ * relays GM-only updates, live status and execution controls over socketlib
+ */
+
+import { MODULE_ID, debugLog } from './main.js';
+
+/**
+ * Commands a remote executor accepts from the GM or the token's owners
+ */
+const CONTROL_COMMANDS = ['pause', 'resume', 'step', 'stop'];
+
+/**
+ * Module flags other users may have the GM write, per document type
+ */
+const DELEGATED_FLAGS = {
+  Combatant: ['blackboard', 'actionUsage'],
+  Token: ['order']
+};
+
+/**
+ * Update options other users may pass along with a delegated update
+ */
+const DELEGATED_OPTIONS = ['animate'];
+
+/**
+ * Seconds a finished status stays on screen
+ */
+const STATUS_LINGER = 4;
+
+/**
+ * Status panel icon per state
+ */
+const STATUS_ICONS = {
+  queued: 'fa-hourglass-half',
+  awaiting: 'fa-user-clock',
+  paused: 'fa-pause',
+  finished: 'fa-check',
+  aborted: 'fa-stop'
+};
+
+let socket = null;
+
+export class ExecutionAuthority {
+  constructor() {
+    this.statuses = new Map(); // Token ID -> latest status, from this or another client
+    this.statusTimers = new Map();
+  }
+
+  /**
+   * Register socket handlers. socketlib fires its ready hook during init, before setup,
+   * so handlers look up the manager when they are called.
+   */
+  static registerSocket() {
+    socket = socketlib.registerModule(MODULE_ID);
+
+    const authority = () => game.tokenAutomation.executionAuthority;
+    socket.register('updateDocument', function(uuid, changes, options) {
+      return authority().handleUpdate(this.socketdata.userId, uuid, changes, options);
+    });
+    socket.register('executionStatus', status => authority().showStatus(status));
+    socket.register('executionControl', function(command, tokenId) {
+      return authority().handleControl(this.socketdata.userId, command, tokenId);
+    });
+    socket.register('rollSave', function(itemUuid, targetUuid) {
+      return authority().handleSave(this.socketdata.userId, itemUuid, targetUuid);
+    });
+    socket.register('logTurn', function(turn) {
+      return game.tokenAutomation.automationLog.receiveTurn(this.socketdata.userId, turn);
+    });
+    socket.register('stopAll', function() {
+      return authority().handleStopAll(this.socketdata.userId);
+    });
+    socket.register('runReaction', function(reactorId, actionId, triggerId) {
+      return authority().handleReaction(this.socketdata.userId, reactorId, actionId, triggerId);
+    });
+
+    debugLog('Socket registered');
+  }
+
+  /**
+   * Whether the socket is available
+   * @returns {boolean}
+   */
+  get connected() {
+    return socket !== null;
+  }
+
+  /**
+   * Elect the user who runs a token's automation: an active player who owns it (their
+   * assigned character first, then by user ID so every client agrees), else the active GM
+   * @param {Token} token - The token
+   * @returns {User|null}
+   */
+  getExecutor(token) {
+    const owners = game.users
+      .filter(u => u.active && !u.isGM && token.document.testUserPermission(u, 'OWNER'))
+      .sort((a, b) => a.id.localeCompare(b.id));
+    const actorId = token.actor?.id;
+    const owner = owners.find(u => u.character?.id === actorId) ?? owners[0];
+    return owner ?? game.users.activeGM ?? game.users.find(u => u.isGM && u.active) ?? null;
+  }
+
+  /**
+   * Whether this client runs a token's automation
+   * @param {Token} token - The token
+   * @returns {boolean}
+   */
+  isExecutor(token) {
+    return this.getExecutor(token)?.id === game.user.id;
+  }
+
+  /**
+   * Update a document, delegating to the GM when this user may not. The GM only writes
+   * the flags listed in DELEGATED_FLAGS, see handleUpdate().
+   * @param {Document} doc - The document
+   * @param {Object} changes - Update data
+   * @param {Object} options - Update options
+   * @returns {Promise<boolean>}
+   */
+  async updateDocument(doc, changes, options = {}) {
+    if (doc.isOwner) {
+      await doc.update(changes, options);
+      return true;
+    }
+    if (!this.connected) throw new Error(`You cannot update ${doc.name}, and the socket is not available`);
+    return await socket.executeAsGM('updateDocument', doc.uuid, changes, options);
+  }
+
+  /**
+   * Run a delegated update on the GM's client. Only the runtime flags automation writes are
+   * accepted (memory and cooldowns on combatants, orders on summons), and only on the
+   * requester's own combatants and tokens, or summons linked to them. Options other than
+   * DELEGATED_OPTIONS are dropped.
+   * @param {string} userId - Requesting user
+   * @param {string} uuid - Document UUID
+   * @param {Object} changes - Update data
+   * @param {Object} options - Update options
+   * @returns {Promise<boolean>}
+   */
+  async handleUpdate(userId, uuid, changes, options = {}) {
+    const doc = fromUuidSync(uuid, { strict: false });
+    const user = game.users.get(userId);
+    if (!doc || !user) return false;
+
+    const allowed = DELEGATED_FLAGS[doc.documentName] ?? [];
+    const prefix = `flags.${MODULE_ID}.`;
+    const keys = Object.keys(foundry.utils.flattenObject(changes));
+    const permitted = key => key.startsWith(prefix) && allowed.includes(key.slice(prefix.length).split('.')[0].replace(/^-=/, ''));
+    if (!keys.length || !keys.every(permitted)) {
+      console.warn(`Token Automation Manager | Refused update of ${doc.name} requested by ${user.name}: only automation memory, cooldowns and orders may be delegated`);
+      return false;
+    }
+
+    // Combatants must be in the active combat; either way the token must be the requester's
+    const token = doc.documentName === 'Combatant' ? doc.token : doc;
+    const inCombat = doc.documentName !== 'Combatant' || doc.parent === game.combat;
+    if (!inCombat || !token || !this.isRequesterToken(user, token)) {
+      console.warn(`Token Automation Manager | Refused update of ${doc.name}: it is not a combatant, token or summon of ${user.name}`);
+      return false;
+    }
+
+    const safeOptions = Object.fromEntries(Object.entries(options ?? {}).filter(([key]) => DELEGATED_OPTIONS.includes(key)));
+    await doc.update(changes, safeOptions);
+    return true;
+  }
+
+  /**
+   * Whether a user owns a token, or the summoner it is linked to
+   * @param {User} user - The user
+   * @param {TokenDocument} tokenDoc - The token
+   * @returns {boolean}
+   */
+  isRequesterToken(user, tokenDoc) {
+    if (tokenDoc.testUserPermission(user, 'OWNER')) return true;
+
+    const link = game.tokenAutomation.summonManager.getLink(tokenDoc);
+    if (!link) return false;
+    const summoner = link.tokenId ? tokenDoc.parent?.tokens.get(link.tokenId) : null;
+    if (summoner) return summoner.testUserPermission(user, 'OWNER');
+    const actor = link.actorUuid ? fromUuidSync(link.actorUuid, { strict: false }) : null;
+    return !!actor?.testUserPermission(user, 'OWNER');
+  }
+
+  /**
+   * Have the GM roll the save an item calls for, for a target this user does not own
+   * @param {Item} item - The item forcing the save
+   * @param {Token} target - The saving token, targeted by this user
+   * @returns {Promise<number|null>} The roll's total, or null when it could not be made
+   */
+  async requestSave(item, target) {
+    if (!this.connected) return null;
+    try {
+      return await socket.executeAsGM('rollSave', item.uuid, target.document.uuid);
+    } catch (error) {
+      console.error(`Token Automation Manager | Error requesting a save for ${target.name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Roll a save requested by a player's automated attack. The requester must run the
+   * attacker's automation, the target must be one the attack targeted (the requester's
+   * current targets, in the active combat's scene), and the ability is the item's own.
+   * @param {string} userId - Requesting user
+   * @param {string} itemUuid - The item forcing the save
+   * @param {string} targetUuid - The saving token
+   * @returns {Promise<number|null>}
+   */
+  async handleSave(userId, itemUuid, targetUuid) {
+    const user = game.users.get(userId);
+    const item = fromUuidSync(itemUuid, { strict: false });
+    const target = fromUuidSync(targetUuid, { strict: false });
+    const combat = game.combat;
+    const ability = item?.system?.save?.ability;
+    if (!user || !ability || !target?.actor || !combat || target.parent !== combat.scene) return null;
+
+    const runsAttacker = item.actor?.getActiveTokens().some(t => this.getExecutor(t)?.id === user.id);
+    const targeted = Array.from(user.targets).some(t => t.document === target);
+    if (!runsAttacker || !targeted) {
+      console.warn(`Token Automation Manager | Refused save of ${target.name} requested by ${user.name}: it is not a target of their automated attack`);
+      return null;
+    }
+
+    debugLog(`${user.name} asked for a ${ability} save from ${target.name} against ${item.name}`);
+    return await game.tokenAutomation.attackSystem.rollSaveTotal(target.actor, ability);
+  }
+
+  /**
+   * Ask the elected client to run a reaction, e.g. when a MIDI workflow on another client
+   * targets the token
+   * @param {Token} reactor - The reacting token
+   * @param {ActionQueueItem} action - The REACTION entry
+   * @param {Token|null} triggerToken - The token that provoked it
+   * @returns {Promise<boolean>} Whether the reaction was used
+   */
+  async requestReaction(reactor, action, triggerToken) {
+    const executor = this.getExecutor(reactor);
+    if (!executor || !this.connected) return false;
+    try {
+      return await socket.executeAsUser('runReaction', executor.id, reactor.id, action.id, triggerToken?.id ?? null);
+    } catch (error) {
+      console.error(`Token Automation Manager | Error requesting reaction from ${executor.name}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Run a reaction requested by another client
+   * @returns {Promise<boolean>}
+   */
+  async handleReaction(userId, reactorId, actionId, triggerId) {
+    const reactor = canvas.tokens?.get(reactorId);
+    if (!reactor || !this.isExecutor(reactor)) return false;
+
+    const action = game.tokenAutomation.actionQueueManager.getQueue(reactor).find(a => a.id === actionId);
+    if (!action) return false;
+
+    debugLog(`${game.users.get(userId)?.name} asked for reaction ${action.name} of ${reactor.name}`);
+    return await game.tokenAutomation.reactionManager.triggerReaction(reactor, action, canvas.tokens.get(triggerId) ?? null);
+  }
+
+  /**
+   * Send the executor's status to the token's owners and the GMs, and show it here
+   * @param {Token} token - The acting token
+   * @param {Object} details - {state, action, step, executed}
+   */
+  publishStatus(token, details) {
+    const status = {
+      tokenId: token.id,
+      tokenName: token.name,
+      userId: game.user.id,
+      userName: game.user.name,
+      ...details
+    };
+    this.showStatus(status);
+
+    if (!this.connected) return;
+    const recipients = game.users
+      .filter(u => u.active && u.id !== game.user.id && (u.isGM || token.document.testUserPermission(u, 'OWNER')))
+      .map(u => u.id);
+    if (recipients.length) socket.executeForUsers('executionStatus', recipients, status);
+  }
+
+  /**
+   * Show a status in the execution status panel
+   * @param {Object} status - Status from publishStatus()
+   */
+  showStatus(status) {
+    clearTimeout(this.statusTimers.get(status.tokenId));
+    this.statuses.set(status.tokenId, status);
+
+    if (['finished', 'aborted'].includes(status.state)) {
+      this.statusTimers.set(status.tokenId, setTimeout(() => {
+        this.statuses.delete(status.tokenId);
+        this.statusTimers.delete(status.tokenId);
+        this.renderStatus();
+      }, STATUS_LINGER * 1000));
+    }
+    this.renderStatus();
+  }
+
+  /**
+   * Draw the status panel from the known statuses
+   */
+  renderStatus() {
+    let panel = document.getElementById('tam-execution-status');
+    if (!this.statuses.size) {
+      panel?.remove();
+      return;
+    }
+
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'tam-execution-status';
+      document.body.append(panel);
+    }
+
+    const escape = Handlebars.escapeExpression;
+    panel.innerHTML = Array.from(this.statuses.values()).map(status => `
+      <div class="execution-status ${status.state}">
+        <i class="fas ${STATUS_ICONS[status.state] ?? 'fa-robot'}"></i>
+        <span class="status-token">${escape(status.tokenName)}</span>
+        <span class="status-action">${escape(status.action ?? '')}</span>
+        <span class="status-state">${game.i18n.localize(`TAM.Status.${status.state}`)}</span>
+        <span class="status-user">${game.i18n.format('TAM.Status.RunBy', { name: escape(status.userName) })}</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Send pause, resume, step or stop to the client running a turn
+   * @param {string} command - One of CONTROL_COMMANDS
+   * @param {string} [tokenId] - The token whose turn to steer; defaults to any remote run
+   * @returns {boolean} Whether a remote run was found
+   */
+  sendControl(command, tokenId = null) {
+    const remote = tokenId ? this.statuses.get(tokenId) : this.getRemoteRun();
+    if (!remote || remote.userId === game.user.id || !this.connected) return false;
+
+    socket.executeAsUser('executionControl', remote.userId, command, remote.tokenId);
+    return true;
+  }
+
+  /**
+   * Send a turn recorded here to the GMs, for their end-of-combat log export
+   * @param {Object} turn - Recorded turn from AutomationLog
+   */
+  shareLogTurn(turn) {
+    if (!this.connected) return;
+    socket.executeForAllGMs('logTurn', turn);
+  }
+
+  /**
+   * Stop every automated turn on every client: running, waiting in line or waiting for
+   * approval, plus reactions in progress (GM only)
+   */
+  broadcastStop() {
+    if (!game.user.isGM || !this.connected) return;
+    socket.executeForOthers('stopAll');
+  }
+
+  /**
+   * Stop everything running here at a GM's request
+   * @param {string} userId - Requesting user
+   * @returns {boolean}
+   */
+  handleStopAll(userId) {
+    const user = game.users.get(userId);
+    if (!user?.isGM) return false;
+
+    debugLog(`${user.name} stopped all automation`);
+    game.tokenAutomation.actionExecutor.stopExecution();
+    return true;
+  }
+
+  /**
+   * Get the status of a turn in progress on another client
+   * @returns {Object|null}
+   */
+  getRemoteRun() {
+    return Array.from(this.statuses.values())
+      .find(s => s.userId !== game.user.id && !['queued', 'awaiting', 'finished', 'aborted'].includes(s.state)) ?? null;
+  }
+
+  /**
+   * Apply a control command from another client to a local turn
+   * @param {string} userId - Requesting user
+   * @param {string} command - One of CONTROL_COMMANDS
+   * @param {string} tokenId - The token whose turn to steer
+   */
+  handleControl(userId, command, tokenId) {
+    const executor = game.tokenAutomation.actionExecutor;
+    const token = canvas.tokens?.get(tokenId);
+    const user = game.users.get(userId);
+    if (!CONTROL_COMMANDS.includes(command) || !user || !token) return false;
+
+    // Only GMs and the token's owners may steer its turn
+    if (!user.isGM && !token.document.testUserPermission(user, 'OWNER')) return false;
+
+    debugLog(`${user.name} sent ${command} for ${token.name}`);
+    switch (command) {
+      case 'pause':
+        executor.pauseExecution(tokenId);
+        break;
+      case 'resume':
+        executor.resumeExecution(tokenId);
+        break;
+      case 'step':
+        executor.stepExecution(tokenId);
+        break;
+      case 'stop':
+        executor.stopExecution(tokenId);
+        break;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Execution Control - Cooperative pause, resume, single-step and abort for running queues
+ */
+
+/**
+ * States of a running queue
+ */
+export const ExecutionState = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  STEPPING: 'stepping', // Waits for step() before each action
+  ABORTED: 'aborted'
+};
+
+/**
+ * Thrown at an await point once execution has been aborted
+ */
+export class ExecutionAbortedError extends Error {
+  constructor(message = 'Execution aborted') {
+    super(message);
+    this.name = 'ExecutionAbortedError';
+  }
+}
+
+/**
+ * Control handle shared by everything that runs on behalf of one workflow.
+ * Code that awaits should either call checkpoint() between steps or wrap the
+ * awaited promise in guard(), so an abort is noticed without waiting it out.
+ */
+export class ExecutionControl {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.stepping - Start in single-step mode
+   */
+  constructor({ stepping = false } = {}) {
+    this.state = stepping ? ExecutionState.STEPPING : ExecutionState.RUNNING;
+    this.stepsAllowed = 0;
+    this.waiters = new Set();
+
+    // Rejects once on abort; guard() races awaited work against it
+    this.aborting = new Promise((resolve, reject) => {
+      this.rejectAborting = reject;
+    });
+    this.aborting.catch(() => {});
+  }
+
+  get aborted() {
+    return this.state === ExecutionState.ABORTED;
+  }
+
+  get paused() {
+    return this.state === ExecutionState.PAUSED;
+  }
+
+  /**
+   * Pause at the next checkpoint
+   */
+  pause() {
+    if (this.aborted) return;
+    this.state = ExecutionState.PAUSED;
+    this.notify();
+  }
+
+  /**
+   * Continue running normally, leaving pause or single-step mode
+   */
+  resume() {
+    if (this.aborted) return;
+    this.state = ExecutionState.RUNNING;
+    this.notify();
+  }
+
+  /**
+   * Switch to single-step mode and allow one more action to run
+   */
+  step() {
+    if (this.aborted) return;
+    this.state = ExecutionState.STEPPING;
+    this.stepsAllowed++;
+    this.notify();
+  }
+
+  /**
+   * Abort; every pending and future await point throws ExecutionAbortedError
+   */
+  abort() {
+    if (this.aborted) return;
+    this.state = ExecutionState.ABORTED;
+    this.rejectAborting(new ExecutionAbortedError());
+    this.notify();
+  }
+
+  /**
+   * @throws {ExecutionAbortedError}
+   */
+  throwIfAborted() {
+    if (this.aborted) throw new ExecutionAbortedError();
+  }
+
+  /**
+   * Wait while paused, then throw if aborted
+   */
+  async checkpoint() {
+    while (this.paused) await this.waitForChange();
+    this.throwIfAborted();
+  }
+
+  /**
+   * Checkpoint before an action; in single-step mode also wait for step()
+   */
+  async waitForStep() {
+    await this.checkpoint();
+
+    while (this.state === ExecutionState.STEPPING && this.stepsAllowed === 0) {
+      await this.waitForChange();
+      await this.checkpoint();
+    }
+
+    if (this.state === ExecutionState.STEPPING) this.stepsAllowed--;
+  }
+
+  /**
+   * Await a promise, but stop waiting as soon as execution is aborted
+   * @param {Promise} promise - The work to await
+   * @returns {Promise<*>}
+   */
+  async guard(promise) {
+    this.throwIfAborted();
+    return await Promise.race([promise, this.aborting]);
+  }
+
+  /**
+   * Abortable delay
+   * @param {number} ms - Milliseconds
+   */
+  async sleep(ms) {
+    await this.guard(new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Resolve on the next state change
+   * @returns {Promise<void>}
+   */
+  waitForChange() {
+    return new Promise(resolve => this.waiters.add(resolve));
+  }
+
+  notify() {
+    for (const resolve of this.waiters) resolve();
+    this.waiters.clear();
+  }
+}
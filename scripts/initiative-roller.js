@@ -3,6 +3,7 @@
  */
 
 import { MODULE_ID, debugLog } from './main.js';
+import { TAMHook, callHook, callAllHook } from './module-hooks.js';
 
 export class InitiativeRoller {
   constructor() {
@@ -59,6 +60,10 @@ export class InitiativeRoller {
     this.rolling = true;
     
     try {
+      // Listeners may drop combatants from the batch, or cancel it
+      combatants = [...combatants];
+      if (!callHook(TAMHook.PRE_ROLL_INITIATIVE, combat, combatants)) return;
+      
       const delay = game.settings.get(MODULE_ID, 'rollDelay');
       const updates = [];
       
@@ -82,6 +87,9 @@ export class InitiativeRoller {
         }
       }
       
+      // Listeners may adjust the rolled values before they are written
+      callAllHook(TAMHook.POST_ROLL_INITIATIVE, combat, updates);
+      
       // Batch update all initiatives
       if (updates.length > 0) {
         await combat.updateEmbeddedDocuments('Combatant', updates);
@@ -3,12 +3,37 @@
  * Phase 1: Selective Auto-Initiative
  */
 
-import { TokenManager } from './token-manager.js';
+import { TokenManager, TemplateSource } from './token-manager.js';
 import { CombatHooks } from './combat-hooks.js';
 import { InitiativeRoller } from './initiative-roller.js';
 import { UIElements } from './ui-elements.js';
-import { ActionQueueManager } from './action-queue.js';
-import { ActionExecutor } from './action-executor.js';
+import {
+  ActionQueueManager,
+  ActionQueueItem,
+  ActionType,
+  ActionCost,
+  ConditionType,
+  BranchTarget,
+  ReactionTrigger,
+  MovementActionData,
+  AttackActionData,
+  ScriptActionData
+} from './action-queue.js';
+import { ActionQueueEditor } from './action-queue-editor.js';
+import { ActionExecutor, TurnConcurrency } from './action-executor.js';
+import { ActionScheduler } from './action-schedule.js';
+import { Blackboard, MemoryKey, MemoryOperation } from './blackboard.js';
+import { ScriptSystem } from './script-system.js';
+import { TAMHook } from './module-hooks.js';
+import { ExecutionAuthority } from './execution-authority.js';
+import { SummonManager, SummonCleanup } from './summon-manager.js';
+import { SummonOrders, SummonOrder } from './summon-orders.js';
+import { TurnApproval, ApprovalDecision } from './turn-approval.js';
+import { ReactionManager } from './reaction-manager.js';
+import { AutomationLog, AutomationLogMode } from './automation-log.js';
+import { QueueMigrator, QUEUE_SCHEMA_VERSION } from './queue-migrations.js';
+import { QueuePresetLibrary, PresetSource } from './queue-presets.js';
+import { QueuePresetBrowser } from './queue-preset-browser.js';
 import { AttackSystem } from './attack-system.js';
 import { MovementSystem } from './movement-system.js';
 
@@ -25,16 +50,45 @@ Hooks.once('init', async () => {
   // Register module in global scope
   game.modules.get(MODULE_ID).api = {
     TokenManager,
+    TemplateSource,
     InitiativeRoller,
+    ActionQueueItem,
+    ActionType,
+    ActionCost,
+    ConditionType,
+    BranchTarget,
+    ReactionTrigger,
+    MovementActionData,
+    AttackActionData,
+    ScriptActionData,
+    ActionQueueEditor,
+    QueuePresetBrowser,
+    PresetSource,
+    MemoryKey,
+    MemoryOperation,
+    TAMHook,
+    TurnConcurrency,
+    SummonCleanup,
+    SummonOrder,
+    ApprovalDecision,
+    QUEUE_SCHEMA_VERSION,
     MODULE_ID
   };
   
   // Register settings
   registerSettings();
+  registerKeybindings();
   
   console.log(`${MODULE_TITLE} | Initialization complete`);
 });
 
+/**
+ * Register socket handlers for cross-client execution
+ */
+Hooks.once('socketlib.ready', () => {
+  ExecutionAuthority.registerSocket();
+});
+
 /**
  * Setup hook - runs after game data is available
  */
@@ -50,9 +104,20 @@ Hooks.once('setup', () => {
     
     // Phase 2: Automated Turn Actions
     actionQueueManager: new ActionQueueManager(),
+    queueMigrator: new QueueMigrator(),
+    queuePresets: new QueuePresetLibrary(),
     actionExecutor: new ActionExecutor(),
+    actionScheduler: new ActionScheduler(),
+    blackboard: new Blackboard(),
+    reactionManager: new ReactionManager(),
+    automationLog: new AutomationLog(),
     attackSystem: new AttackSystem(),
-    movementSystem: new MovementSystem()
+    movementSystem: new MovementSystem(),
+    scriptSystem: new ScriptSystem(),
+    executionAuthority: new ExecutionAuthority(),
+    summonManager: new SummonManager(),
+    summonOrders: new SummonOrders(),
+    turnApproval: new TurnApproval()
   };
 });
 
@@ -62,11 +127,28 @@ Hooks.once('setup', () => {
 Hooks.once('ready', () => {
   console.log(`${MODULE_TITLE} | Module ready`);
   
+  // Upgrade stored action queues once per world load (active GM only)
+  const activeGM = game.users.activeGM ?? game.users.find(u => u.isGM && u.active);
+  if (activeGM?.id === game.user.id) {
+    game.tokenAutomation.queueMigrator.migrateWorld().catch(error => {
+      console.error(`${MODULE_TITLE} | Action queue migration failed:`, error);
+    });
+  }
+  
   // Initialize combat hooks
   CombatHooks.init();
+  game.tokenAutomation.tokenManager.init();
   
   // Initialize action executor (Phase 2)
+  game.tokenAutomation.actionQueueManager.init();
   game.tokenAutomation.actionExecutor.init();
+  game.tokenAutomation.reactionManager.init();
+  game.tokenAutomation.blackboard.init();
+  game.tokenAutomation.automationLog.init();
+  game.tokenAutomation.movementSystem.init();
+  game.tokenAutomation.summonManager.init();
+  game.tokenAutomation.summonOrders.init();
+  game.tokenAutomation.turnApproval.init();
   
   // Display ready message to GM
   if (game.user.isGM) {
@@ -127,6 +209,190 @@ function registerSettings() {
     default: true
   });
   
+  // Let macro actions run inline scripts stored in queues
+  game.settings.register(MODULE_ID, 'allowInlineScripts', {
+    name: 'TAM.Settings.AllowInlineScripts.Name',
+    hint: 'TAM.Settings.AllowInlineScripts.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+  
+  // Loop guard: maximum actions evaluated per automated turn
+  game.settings.register(MODULE_ID, 'maxActionSteps', {
+    name: 'TAM.Settings.MaxActionSteps.Name',
+    hint: 'TAM.Settings.MaxActionSteps.Hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 20,
+    range: {
+      min: 5,
+      max: 100,
+      step: 5
+    }
+  });
+  
+  // Start automated turns in single-step mode
+  game.settings.register(MODULE_ID, 'stepMode', {
+    name: 'TAM.Settings.StepMode.Name',
+    hint: 'TAM.Settings.StepMode.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+  
+  // How automated turns that overlap are run
+  game.settings.register(MODULE_ID, 'turnConcurrency', {
+    name: 'TAM.Settings.TurnConcurrency.Name',
+    hint: 'TAM.Settings.TurnConcurrency.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      [TurnConcurrency.SEQUENTIAL]: 'TAM.Settings.TurnConcurrency.Sequential',
+      [TurnConcurrency.INITIATIVE]: 'TAM.Settings.TurnConcurrency.Initiative',
+      [TurnConcurrency.PARALLEL]: 'TAM.Settings.TurnConcurrency.Parallel'
+    },
+    default: TurnConcurrency.SEQUENTIAL
+  });
+  
+  // Link tokens created during a combatant's turn to it as summons
+  game.settings.register(MODULE_ID, 'autoLinkSummons', {
+    name: 'TAM.Settings.AutoLinkSummons.Name',
+    hint: 'TAM.Settings.AutoLinkSummons.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+  
+  // What happens to summons when their summoner loses concentration or drops to 0 HP
+  game.settings.register(MODULE_ID, 'summonCleanup', {
+    name: 'TAM.Settings.SummonCleanup.Name',
+    hint: 'TAM.Settings.SummonCleanup.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      [SummonCleanup.NONE]: 'TAM.Settings.SummonCleanup.None',
+      [SummonCleanup.DISABLE]: 'TAM.Settings.SummonCleanup.Disable',
+      [SummonCleanup.DISMISS]: 'TAM.Settings.SummonCleanup.Dismiss'
+    },
+    default: SummonCleanup.DISABLE
+  });
+  
+  // Post order buttons to a summoner's owners at the start of its turn
+  game.settings.register(MODULE_ID, 'summonOrderCards', {
+    name: 'TAM.Settings.SummonOrderCards.Name',
+    hint: 'TAM.Settings.SummonOrderCards.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+  
+  // Ask before automated reactions are used
+  game.settings.register(MODULE_ID, 'confirmReactions', {
+    name: 'TAM.Settings.ConfirmReactions.Name',
+    hint: 'TAM.Settings.ConfirmReactions.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+  
+  // Seconds to wait for a reaction confirmation before declining
+  game.settings.register(MODULE_ID, 'reactionTimeout', {
+    name: 'TAM.Settings.ReactionTimeout.Name',
+    hint: 'TAM.Settings.ReactionTimeout.Hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 10,
+    range: {
+      min: 0,
+      max: 60,
+      step: 5
+    }
+  });
+  
+  // Show turns this client runs to its user before they run
+  game.settings.register(MODULE_ID, 'turnApproval', {
+    name: 'TAM.Settings.TurnApproval.Name',
+    hint: 'TAM.Settings.TurnApproval.Hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+  
+  // Seconds to wait for a turn approval before the default decision applies
+  game.settings.register(MODULE_ID, 'approvalTimeout', {
+    name: 'TAM.Settings.ApprovalTimeout.Name',
+    hint: 'TAM.Settings.ApprovalTimeout.Hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    default: 60,
+    range: {
+      min: 0,
+      max: 300,
+      step: 10
+    }
+  });
+  
+  // What an unanswered approval does
+  game.settings.register(MODULE_ID, 'approvalDefault', {
+    name: 'TAM.Settings.ApprovalDefault.Name',
+    hint: 'TAM.Settings.ApprovalDefault.Hint',
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: {
+      [ApprovalDecision.APPROVE]: 'TAM.Approval.approve',
+      [ApprovalDecision.SKIP]: 'TAM.Approval.skip',
+      [ApprovalDecision.MANUAL]: 'TAM.Approval.manual'
+    },
+    default: ApprovalDecision.APPROVE
+  });
+  
+  // Who sees the chat card summarizing each automated turn
+  game.settings.register(MODULE_ID, 'automationLog', {
+    name: 'TAM.Settings.AutomationLog.Name',
+    hint: 'TAM.Settings.AutomationLog.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      [AutomationLogMode.OFF]: 'TAM.Settings.AutomationLog.Off',
+      [AutomationLogMode.GM]: 'TAM.Settings.AutomationLog.GM',
+      [AutomationLogMode.OWNERS]: 'TAM.Settings.AutomationLog.Owners',
+      [AutomationLogMode.PUBLIC]: 'TAM.Settings.AutomationLog.Public'
+    },
+    default: AutomationLogMode.OWNERS
+  });
+  
+  // Compendium (JournalEntry) holding queue presets shared between worlds
+  game.settings.register(MODULE_ID, 'presetPack', {
+    name: 'TAM.Settings.PresetPack.Name',
+    hint: 'TAM.Settings.PresetPack.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+  
+  // World queue presets, keyed by preset ID
+  game.settings.register(MODULE_ID, 'queuePresets', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+  
   // Debug mode
   game.settings.register(MODULE_ID, 'debugMode', {
     name: 'TAM.Settings.DebugMode.Name',
@@ -138,6 +404,69 @@ function registerSettings() {
   });
 }
 
+/**
+ * Register execution control and rally point keybindings (GM only)
+ */
+function registerKeybindings() {
+  const executor = () => game.tokenAutomation?.actionExecutor;
+  // Without a local run, the keys steer the run on a player's client
+  const authority = () => game.tokenAutomation?.executionAuthority;
+  
+  game.keybindings.register(MODULE_ID, 'togglePause', {
+    name: 'TAM.Keybindings.TogglePause.Name',
+    hint: 'TAM.Keybindings.TogglePause.Hint',
+    editable: [{ key: 'KeyP', modifiers: ['Shift'] }],
+    restricted: true,
+    onDown: () => {
+      if (!executor()?.executing) {
+        const remote = authority()?.getRemoteRun();
+        if (!remote) return false;
+        return authority().sendControl(remote.state === 'paused' ? 'resume' : 'pause');
+      }
+      executor().togglePause();
+      return true;
+    }
+  });
+  
+  game.keybindings.register(MODULE_ID, 'stepExecution', {
+    name: 'TAM.Keybindings.StepExecution.Name',
+    hint: 'TAM.Keybindings.StepExecution.Hint',
+    editable: [{ key: 'KeyN', modifiers: ['Shift'] }],
+    restricted: true,
+    onDown: () => {
+      if (!executor()?.executing) return authority()?.sendControl('step') ?? false;
+      executor().stepExecution();
+      return true;
+    }
+  });
+  
+  game.keybindings.register(MODULE_ID, 'stopExecution', {
+    name: 'TAM.Keybindings.StopExecution.Name',
+    hint: 'TAM.Keybindings.StopExecution.Hint',
+    editable: [{ key: 'KeyX', modifiers: ['Shift'] }],
+    restricted: true,
+    onDown: () => {
+      // Stop means stop everywhere, including turns waiting in line or for approval
+      authority()?.broadcastStop();
+      executor()?.stopExecution();
+      return true;
+    }
+  });
+  
+  game.keybindings.register(MODULE_ID, 'toggleRallyPoint', {
+    name: 'TAM.Keybindings.ToggleRallyPoint.Name',
+    hint: 'TAM.Keybindings.ToggleRallyPoint.Hint',
+    editable: [{ key: 'KeyR', modifiers: ['Shift'] }],
+    restricted: true,
+    onDown: () => {
+      const position = canvas.ready ? canvas.mousePosition : null;
+      if (!position) return false;
+      game.tokenAutomation.movementSystem.toggleRallyPoint(position);
+      return true;
+    }
+  });
+}
+
 /**
  * Debug logging utility
  */
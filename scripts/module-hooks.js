@@ -0,0 +1,58 @@
+/**
+ * Module Hooks - Public hooks fired around automated turns, attacks, movement and initiative
+ */
+
+import { debugLog } from './main.js';
+
+/**
+ * Hook names. "pre" hooks are called with Hooks.call: a listener returning false cancels
+ * the step, and the data objects they receive may be changed in place. Listeners run
+ * synchronously; the module does not wait for promises they return.
+ */
+export const TAMHook = {
+  // (token, actions, options) - actions may be reordered or removed; false skips the turn
+  PRE_EXECUTE_QUEUE: 'tam.preExecuteQueue',
+  // (token, trace) - after an automated turn, with its execution trace
+  POST_EXECUTE_QUEUE: 'tam.postExecuteQueue',
+  // (token, action, context) - action.data may be changed; false skips the action
+  PRE_EXECUTE_ACTION: 'tam.preExecuteAction',
+  // (token, action, result, context) - result may be changed before budget and branching use it
+  POST_EXECUTE_ACTION: 'tam.postExecuteAction',
+  // (token, action, triggerToken) - false skips the reaction
+  PRE_EXECUTE_REACTION: 'tam.preExecuteReaction',
+  // (token, selection) - filter selection.targets or set selection.target; false selects no target
+  PRE_SELECT_TARGET: 'tam.preSelectTarget',
+  // (token, attack) - attack is {item, target, advantageOverride, consumeResource}; false cancels
+  PRE_ATTACK: 'tam.preAttack',
+  // (token, result) - after an attack resolves
+  POST_ATTACK: 'tam.postAttack',
+  // (token, move) - move is {destination, waypoints, usePath, distance}; false cancels
+  PRE_MOVE: 'tam.preMove',
+  // (token, result) - after a move completes
+  POST_MOVE: 'tam.postMove',
+  // (combat, combatants) - combatants may be removed; false skips the batch
+  PRE_ROLL_INITIATIVE: 'tam.preRollInitiative',
+  // (combat, updates) - [{_id, initiative}] before they are written; values may be changed
+  POST_ROLL_INITIATIVE: 'tam.postRollInitiative'
+};
+
+/**
+ * Call a cancellable hook
+ * @param {string} hook - TAMHook value
+ * @param {...*} args - Hook arguments
+ * @returns {boolean} False if a listener cancelled
+ */
+export function callHook(hook, ...args) {
+  const allowed = Hooks.call(hook, ...args);
+  if (allowed === false) debugLog(`${hook} cancelled by a listener`);
+  return allowed !== false;
+}
+
+/**
+ * Call a notification hook; return values are ignored
+ * @param {string} hook - TAMHook value
+ * @param {...*} args - Hook arguments
+ */
+export function callAllHook(hook, ...args) {
+  Hooks.callAll(hook, ...args);
+}
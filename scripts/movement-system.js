@@ -3,12 +3,32 @@
  */
 
 import { MODULE_ID, debugLog } from './main.js';
+import { ExecutionAbortedError } from './execution-control.js';
+import { TAMHook, callHook, callAllHook } from './module-hooks.js';
+
+/**
+ * Farthest a fleeing token looks for a square, in grid squares
+ */
+const MAX_FLEE_RADIUS = 24;
 
 export class MovementSystem {
   constructor() {
     this.recordingPath = false;
     this.recordedWaypoints = [];
     this.previewGraphics = null;
+    this.rallyGraphics = null;
+    this.RALLY_FLAG = 'rallyPoints';
+  }
+  
+  /**
+   * Initialize rally point markers
+   */
+  init() {
+    Hooks.on('canvasReady', () => this.drawRallyPoints());
+    Hooks.on('updateScene', (scene, changes) => {
+      if (scene === canvas.scene && foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`)) this.drawRallyPoints();
+    });
+    if (canvas.ready) this.drawRallyPoints();
   }
   
   /**
@@ -104,9 +124,77 @@ export class MovementSystem {
   
   /**
    * Execute a movement action
+   * @param {Token} token - The token to move
+   * @param {Object} movementData - MovementActionData
+   * @param {Object} options - Execution options
+   * @param {number} options.movementRemaining - Movement left in the turn budget
+   * @param {ExecutionControl} options.control - Pauses or aborts the move between waypoints
    */
-  async executeMovement(token, movementData) {
+  async executeMovement(token, movementData, options = {}) {
+    const { control = null } = options;
+    
+    const plan = await this.planMovement(token, movementData, options);
+    if (!plan.success) return plan;
+    
+    // Listeners may change the destination or path, or cancel the move
+    const move = {
+      destination: plan.destination,
+      waypoints: movementData.waypoints,
+      usePath: plan.usePath,
+      distance: plan.distance
+    };
+    if (!callHook(TAMHook.PRE_MOVE, token, move)) {
+      return { success: false, error: 'Cancelled by a module' };
+    }
+    const { destination, waypoints, usePath, distance } = move;
+    
+    // Escorts already in position have nothing to animate
+    if (!usePath && destination.x === token.x && destination.y === token.y) {
+      return { success: true, type: 'movement', distance: 0, message: plan.message };
+    }
+    
+    try {
+      // Execute the movement
+      if (usePath) {
+        await this.moveAlongPath(token, waypoints, control);
+      } else {
+        await this.moveToDestination(token, destination, control);
+      }
+      
+      const result = {
+        success: true,
+        type: 'movement',
+        distance,
+        message: `Moved to ${destination.x}, ${destination.y}`
+      };
+      callAllHook(TAMHook.POST_MOVE, token, result);
+      return result;
+    } catch (error) {
+      if (error instanceof ExecutionAbortedError) throw error;
+      console.error('Token Automation Manager | Movement execution error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Work out where a movement action goes and how far, without moving anything
+   * @param {Token} token - The moving token
+   * @param {Object} movementData - MovementActionData
+   * @param {Object} options
+   * @param {number|null} options.movementRemaining - Movement left this turn
+   * @returns {Promise<Object>} {success, type, destination, distance, usePath, message} or {success: false, error}
+   */
+  async planMovement(token, movementData, options = {}) {
     const { waypoints, targetType, targetId, maxDistance, avoidOpportunityAttacks } = movementData;
+    const { movementRemaining = null } = options;
+    
+    // Escorts pick a free square they can reach instead of failing on long moves
+    if (targetType === 'follow' || targetType === 'guard') {
+      return this.planEscort(token, movementData, options);
+    }
+    if (targetType === 'flee') {
+      return this.planFlee(token, movementData, options);
+    }
     
     let destination;
     
@@ -116,9 +204,10 @@ export class MovementSystem {
     } else if (targetType === 'nearestEnemy') {
       destination = await this.findNearestEnemy(token);
     } else if (targetId) {
+      // A token is approached to a free square beside it, not stepped onto
       const target = canvas.tokens.get(targetId);
       if (target) {
-        destination = { x: target.x, y: target.y };
+        destination = this.findFreePosition(token, this.getAdjacentPosition(token, target, token.center));
       }
     }
     
@@ -136,56 +225,444 @@ export class MovementSystem {
       }
     }
     
-    try {
-      // Execute the movement
-      if (waypoints && waypoints.length > 1) {
-        await this.moveAlongPath(token, waypoints);
+    const usePath = targetType === 'waypoint' && waypoints && waypoints.length > 1;
+    
+    // Respect the movement left this turn
+    if (movementRemaining !== null) {
+      if (usePath) {
+        if (this.calculatePathDistance(waypoints) > movementRemaining) {
+          return { success: false, error: 'Path exceeds remaining movement' };
+        }
       } else {
-        await this.moveToDestination(token, destination);
+        destination = this.limitDestination(token, destination, movementRemaining);
       }
-      
-      return {
-        success: true,
-        type: 'movement',
-        message: `Moved to ${destination.x}, ${destination.y}`
-      };
-    } catch (error) {
-      console.error('Token Automation Manager | Movement execution error:', error);
-      return { success: false, error: error.message };
     }
+    
+    const distance = usePath
+      ? this.calculatePathDistance(waypoints)
+      : this.calculateDistance(token, destination);
+    
+    return {
+      success: true,
+      type: 'movement',
+      destination,
+      distance,
+      usePath,
+      message: `Move to ${destination.x}, ${destination.y}`
+    };
+  }
+  
+  /**
+   * Plan a follow or guard move. The token ends in a free square next to its ally: at its
+   * formation offset when following, or between the ally and the nearest threat when guarding.
+   * Without a target token the ally is the token's summoner.
+   * @param {Token} token - The moving token
+   * @param {Object} movementData - MovementActionData with targetType 'follow' or 'guard'
+   * @param {Object} options
+   * @param {number|null} options.movementRemaining - Movement left this turn
+   * @returns {Object} Same shape as planMovement()
+   */
+  planEscort(token, movementData, options = {}) {
+    const { targetType, targetId, maxDistance, formationOffset } = movementData;
+    const { movementRemaining = null } = options;
+    
+    const ally = (targetId ? canvas.tokens.get(targetId) : null)
+      ?? game.tokenAutomation.summonManager?.getSummoner(token);
+    if (!ally || ally.id === token.id) return { success: false, error: 'No ally to escort' };
+    
+    let preferred;
+    let reason;
+    const threat = targetType === 'guard' ? this.findNearestThreat(token, ally) : null;
+    if (threat) {
+      preferred = this.getAdjacentPosition(token, ally, threat.center);
+      reason = `Guard ${ally.name} from ${threat.name}`;
+    } else if (targetType === 'follow' && formationOffset) {
+      const size = canvas.grid.size;
+      preferred = { x: ally.x + formationOffset.x * size, y: ally.y + formationOffset.y * size };
+      reason = `Follow ${ally.name} in formation`;
+    } else {
+      preferred = this.getAdjacentPosition(token, ally, token.center);
+      reason = `${targetType === 'guard' ? 'Guard' : 'Follow'} ${ally.name}`;
+    }
+    
+    const limits = [maxDistance, movementRemaining].filter(limit => limit !== null && limit !== undefined);
+    const reach = limits.length ? Math.min(...limits) : Infinity;
+    const destination = this.findFreePosition(token, preferred, reach);
+    if (!destination) return { success: false, error: 'No free square in reach' };
+    
+    const distance = this.calculateDistance(token, destination);
+    return {
+      success: true,
+      type: 'movement',
+      destination,
+      distance,
+      usePath: false,
+      message: distance > 0 ? `${reason}: move to ${destination.x}, ${destination.y}` : `${reason}: already in position`
+    };
+  }
+  
+  /**
+   * Plan a flee move: toward the nearest rally point on the scene that is no closer to an
+   * enemy than the token already is, or else to the reachable free square farthest from
+   * every hostile token
+   * @param {Token} token - The fleeing token
+   * @param {Object} movementData - MovementActionData with targetType 'flee'
+   * @param {Object} options
+   * @param {number|null} options.movementRemaining - Movement left this turn
+   * @returns {Object} Same shape as planMovement()
+   */
+  planFlee(token, movementData, options = {}) {
+    const { maxDistance, useRallyPoints } = movementData;
+    const { movementRemaining = null } = options;
+    
+    const limits = [maxDistance, movementRemaining, this.getAvailableMovement(token)]
+      .filter(limit => limit !== null && limit !== undefined);
+    const reach = Math.min(...limits);
+    const hostiles = this.getHostiles(token);
+    
+    let destination = null;
+    let reason;
+    const rally = useRallyPoints !== false ? this.findRallyPoint(token, hostiles) : null;
+    if (rally) {
+      destination = this.findFreePosition(token, rally, reach);
+      reason = 'Fall back to the rally point';
+    } else {
+      if (!hostiles.length) return { success: false, error: 'No enemies to flee from' };
+      destination = this.findSafestPosition(token, hostiles, reach);
+      reason = 'Flee';
+    }
+    if (!destination) return { success: false, error: 'No free square in reach' };
+    
+    const distance = this.calculateDistance(token, destination);
+    return {
+      success: true,
+      type: 'movement',
+      destination,
+      distance,
+      usePath: false,
+      message: distance > 0 ? `${reason}: move to ${destination.x}, ${destination.y}` : `${reason}: no safer square in reach`
+    };
+  }
+  
+  /**
+   * Find the free square within reach whose nearest hostile is farthest away. Squares the
+   * token cannot walk to in a straight line, or that leave the scene, are skipped.
+   * @param {Token} token - The fleeing token
+   * @param {Array<Token>} hostiles - Tokens to get away from
+   * @param {number} reach - Maximum distance in scene units
+   * @returns {Object|null} {x, y}
+   */
+  findSafestPosition(token, hostiles, reach) {
+    const size = canvas.grid.size;
+    const radius = Math.min(Math.floor(reach / canvas.dimensions.distance), MAX_FLEE_RADIUS);
+    const safety = position => Math.min(...hostiles.map(h => this.calculateDistance(h, position)));
+    
+    // Staying put is the baseline a move has to beat
+    let best = { x: token.x, y: token.y };
+    let bestSafety = safety(best);
+    let bestDistance = 0;
+    
+    for (let ix = -radius; ix <= radius; ix++) {
+      for (let iy = -radius; iy <= radius; iy++) {
+        const position = { x: token.x + ix * size, y: token.y + iy * size };
+        const distance = this.calculateDistance(token, position);
+        if (distance > reach || distance === 0) continue;
+        if (!this.isInScene(token, position)) continue;
+        
+        const positionSafety = safety(position);
+        if (positionSafety < bestSafety || (positionSafety === bestSafety && distance >= bestDistance)) continue;
+        if (this.isOccupied(token, position) || this.isBlocked(token, position)) continue;
+        
+        best = position;
+        bestSafety = positionSafety;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+  
+  /**
+   * Whether a token placed at a position lies wholly inside the scene, off the padding
+   * @param {Token} token - The token to place
+   * @param {Object} position - {x, y} top-left position
+   * @returns {boolean}
+   */
+  isInScene(token, position) {
+    const bounds = canvas.dimensions.sceneRect;
+    return bounds.contains(position.x, position.y) && bounds.contains(position.x + token.w - 1, position.y + token.h - 1);
+  }
+  
+  /**
+   * Whether a wall blocks a straight move to a position
+   * @param {Token} token - The moving token
+   * @param {Object} position - {x, y} top-left position
+   * @returns {boolean}
+   */
+  isBlocked(token, position) {
+    const center = { x: position.x + token.w / 2, y: position.y + token.h / 2 };
+    return token.checkCollision(center, { origin: token.center, type: 'move', mode: 'any' });
+  }
+  
+  /**
+   * Living, visible tokens hostile to a token
+   * @param {Token} token - The token
+   * @returns {Array<Token>}
+   */
+  getHostiles(token) {
+    const hostile = token.document.disposition * -1;
+    return canvas.tokens.placeables.filter(t => t.id !== token.id
+      && t.document.disposition === hostile
+      && !t.document.hidden
+      && !(t.actor?.system.attributes.hp.value <= 0));
+  }
+  
+  /**
+   * Get the rally points marked on a scene
+   * @param {Scene} scene - Defaults to the viewed scene
+   * @returns {Array<Object>} {x, y} top-left positions
+   */
+  getRallyPoints(scene = canvas.scene) {
+    return scene?.getFlag(MODULE_ID, this.RALLY_FLAG) ?? [];
+  }
+  
+  /**
+   * Find the rally point nearest to a token, leaving out those that would bring it closer
+   * to an enemy than it is now
+   * @param {Token} token - The token
+   * @param {Array<Token>} hostiles - Tokens to get away from
+   * @returns {Object|null} {x, y}
+   */
+  findRallyPoint(token, hostiles = []) {
+    const safety = position => Math.min(...hostiles.map(h => this.calculateDistance(h, position)));
+    const current = safety(token);
+    
+    let nearest = null;
+    let minDistance = Infinity;
+    for (const point of this.getRallyPoints(token.scene)) {
+      if (safety(point) < current) continue;
+      const distance = this.calculateDistance(token, point);
+      if (distance < minDistance) {
+        minDistance = distance;
+        nearest = point;
+      }
+    }
+    return nearest;
+  }
+  
+  /**
+   * Mark a rally point, or remove the one already on that square (GM only)
+   * @param {Object} point - {x, y} canvas position; snapped to the grid
+   * @param {Scene} scene - Defaults to the viewed scene
+   * @returns {Promise<boolean>} Whether a point was added
+   */
+  async toggleRallyPoint(point, scene = canvas.scene) {
+    if (!game.user.isGM || !scene) return false;
+    
+    const snapped = canvas.grid.getSnappedPosition(point.x - canvas.grid.size / 2, point.y - canvas.grid.size / 2);
+    const points = this.getRallyPoints(scene);
+    const remaining = points.filter(p => p.x !== snapped.x || p.y !== snapped.y);
+    const added = remaining.length === points.length;
+    
+    await scene.setFlag(MODULE_ID, this.RALLY_FLAG, added ? [...points, { x: snapped.x, y: snapped.y }] : remaining);
+    debugLog(`${added ? 'Added' : 'Removed'} rally point at`, snapped);
+    return added;
+  }
+  
+  /**
+   * Remove every rally point from a scene (GM only)
+   * @param {Scene} scene - Defaults to the viewed scene
+   */
+  async clearRallyPoints(scene = canvas.scene) {
+    if (!game.user.isGM || !scene) return;
+    await scene.unsetFlag(MODULE_ID, this.RALLY_FLAG);
+  }
+  
+  /**
+   * Draw the viewed scene's rally points; only GMs see them
+   */
+  drawRallyPoints() {
+    this.rallyGraphics?.parent?.removeChild(this.rallyGraphics);
+    this.rallyGraphics?.destroy();
+    this.rallyGraphics = null;
+    
+    const points = this.getRallyPoints();
+    if (!game.user.isGM || !points.length) return;
+    
+    const size = canvas.grid.size;
+    const graphics = new PIXI.Graphics();
+    for (const point of points) {
+      const cx = point.x + size / 2;
+      const cy = point.y + size / 2;
+      graphics.lineStyle(3, 0xffd700, 0.9);
+      graphics.beginFill(0xffd700, 0.2);
+      graphics.drawCircle(cx, cy, size * 0.4);
+      graphics.endFill();
+      graphics.moveTo(cx - size * 0.1, cy + size * 0.25);
+      graphics.lineTo(cx - size * 0.1, cy - size * 0.25);
+      graphics.lineTo(cx + size * 0.2, cy - size * 0.15);
+      graphics.lineTo(cx - size * 0.1, cy - size * 0.05);
+    }
+    
+    canvas.interface.grid.addChild(graphics);
+    this.rallyGraphics = graphics;
+  }
+  
+  /**
+   * Find the living hostile nearest to a ward
+   * @param {Token} token - The guard; hostility is judged from its disposition
+   * @param {Token} ward - The token being guarded
+   * @returns {Token|null}
+   */
+  findNearestThreat(token, ward) {
+    let nearest = null;
+    let minDistance = Infinity;
+    
+    for (const t of this.getHostiles(token)) {
+      if (t.id === ward.id) continue;
+      const distance = this.calculateDistance(ward, t);
+      if (distance < minDistance) {
+        minDistance = distance;
+        nearest = t;
+      }
+    }
+    return nearest;
+  }
+  
+  /**
+   * Get the position that puts a token right next to an ally, on the side facing a point
+   * @param {Token} token - The token to place
+   * @param {Token} ally - The ally
+   * @param {Object} point - {x, y} in canvas pixels the token should face
+   * @returns {Object} {x, y} top-left position
+   */
+  getAdjacentPosition(token, ally, point) {
+    const dx = point.x - ally.center.x;
+    const dy = point.y - ally.center.y;
+    const length = Math.hypot(dx, dy);
+    
+    // Pick one of the eight directions; a point on the ally itself counts as "left"
+    const sx = length === 0 ? -1 : Math.abs(dx / length) >= 0.38 ? Math.sign(dx) : 0;
+    const sy = length === 0 ? 0 : Math.abs(dy / length) >= 0.38 ? Math.sign(dy) : 0;
+    
+    return {
+      x: sx < 0 ? ally.x - token.w : sx > 0 ? ally.x + ally.w : ally.x,
+      y: sy < 0 ? ally.y - token.h : sy > 0 ? ally.y + ally.h : ally.y
+    };
+  }
+  
+  /**
+   * Find the free grid position nearest to a preferred one that the token can reach.
+   * The token's own position counts as free; squares behind a wall or off the scene do not.
+   * @param {Token} token - The moving token
+   * @param {Object} preferred - Desired {x, y}
+   * @param {number} reach - Maximum distance in scene units
+   * @param {number} radius - Squares around the preferred position to search
+   * @returns {Object|null} {x, y}
+   */
+  findFreePosition(token, preferred, reach = Infinity, radius = 3) {
+    const size = canvas.grid.size;
+    
+    // A preferred square out of reach is approached as far as movement allows
+    const target = this.calculateDistance(token, preferred) > reach
+      ? this.limitDestination(token, preferred, reach)
+      : preferred;
+    
+    let best = null;
+    let bestScore = Infinity;
+    for (let ring = 0; ring <= radius; ring++) {
+      for (let ix = -ring; ix <= ring; ix++) {
+        for (let iy = -ring; iy <= ring; iy++) {
+          if (Math.max(Math.abs(ix), Math.abs(iy)) !== ring) continue;
+          
+          const position = { x: target.x + ix * size, y: target.y + iy * size };
+          const distance = this.calculateDistance(token, position);
+          if (distance > reach) continue;
+          if (!this.isInScene(token, position)) continue;
+          
+          // Closest to the preferred square first, then the shortest move
+          const score = this.calculateDistance(position, preferred) * 1000 + distance;
+          if (score >= bestScore) continue;
+          if (this.isOccupied(token, position) || (distance > 0 && this.isBlocked(token, position))) continue;
+          
+          bestScore = score;
+          best = position;
+        }
+      }
+      if (best) return best;
+    }
+    return null;
   }
   
   /**
-   * Move token along a path of waypoints
+   * Whether another visible token covers part of the area a token would fill at a position
+   * @param {Token} token - The token to place
+   * @param {Object} position - {x, y} top-left position
+   * @returns {boolean}
    */
-  async moveAlongPath(token, waypoints) {
+  isOccupied(token, position) {
+    return canvas.tokens.placeables.some(t => {
+      if (t.id === token.id || (t.document.hidden && !game.user.isGM)) return false;
+      return position.x < t.x + t.w && position.x + token.w > t.x
+        && position.y < t.y + t.h && position.y + token.h > t.y;
+    });
+  }
+  
+  /**
+   * Move token along a path of waypoints.
+   * A paused or aborted ExecutionControl stops the token at the next waypoint.
+   */
+  async moveAlongPath(token, waypoints, control = null) {
     for (let i = 1; i < waypoints.length; i++) {
+      await control?.checkpoint();
+      
       const waypoint = waypoints[i];
-      await this.animateMovement(token, waypoint);
+      await this.animateMovement(token, waypoint, control);
       
       // Small delay between waypoints
-      await new Promise(resolve => setTimeout(resolve, 200));
+      if (control) await control.sleep(200);
+      else await new Promise(resolve => setTimeout(resolve, 200));
     }
   }
   
   /**
    * Move token to a single destination
    */
-  async moveToDestination(token, destination) {
-    return await this.animateMovement(token, destination);
+  async moveToDestination(token, destination, control = null) {
+    return await this.animateMovement(token, destination, control);
   }
   
   /**
-   * Animate token movement
+   * Animate token movement and wait for the animation to finish
    */
-  async animateMovement(token, destination) {
+  async animateMovement(token, destination, control = null) {
     const updates = {
       x: destination.x,
       y: destination.y
     };
     
     // Use Foundry's built-in animation
-    return await token.document.update(updates, { animate: true });
+    await control?.checkpoint();
+    await token.document.update(updates, { animate: true });
+    
+    if (!control) return await this.waitForAnimation(token);
+    
+    try {
+      await control.guard(this.waitForAnimation(token));
+    } catch (error) {
+      // Aborted mid-animation: snap the token to where its document already is
+      token.stopAnimation?.();
+      throw error;
+    }
+  }
+  
+  /**
+   * Wait for a token's movement animation to complete
+   * @param {Token} token - The token
+   */
+  async waitForAnimation(token) {
+    const animation = token.movementAnimationPromise
+      ?? CanvasAnimation.getAnimation(token.animationName)?.promise;
+    if (animation) await animation;
   }
   
   /**
@@ -197,6 +674,31 @@ export class MovementSystem {
     return Math.sqrt(dx * dx + dy * dy) / canvas.grid.size * canvas.dimensions.distance;
   }
   
+  /**
+   * Shorten a straight move so it stays within a distance, snapped to the grid
+   * @param {Token} token - The moving token
+   * @param {Object} destination - Desired {x, y}
+   * @param {number} maxDistance - Maximum distance in scene units
+   * @returns {Object} Reachable {x, y}
+   */
+  limitDestination(token, destination, maxDistance) {
+    const distance = this.calculateDistance(token, destination);
+    if (distance <= maxDistance) return destination;
+    if (maxDistance <= 0) return { x: token.x, y: token.y };
+    
+    const ratio = maxDistance / distance;
+    const x = token.x + (destination.x - token.x) * ratio;
+    const y = token.y + (destination.y - token.y) * ratio;
+    
+    // Snap down to a square that is still within range
+    const snapped = canvas.grid.getSnappedPosition(x, y);
+    if (this.calculateDistance(token, snapped) <= maxDistance) return snapped;
+    
+    const stepX = Math.sign(token.x - snapped.x) * canvas.grid.size;
+    const stepY = Math.sign(token.y - snapped.y) * canvas.grid.size;
+    return { x: snapped.x + stepX, y: snapped.y + stepY };
+  }
+  
   /**
    * Find nearest enemy token
    */
@@ -208,7 +710,7 @@ export class MovementSystem {
     let minDistance = Infinity;
     
     for (const t of tokens) {
-      if (t === token) continue;
+      if (t.id === token.id) continue;
       if (t.document.disposition !== hostile) continue;
       if (t.actor?.system.attributes.hp.value <= 0) continue;
       
@@ -0,0 +1,295 @@
+/**
+ * Queue Migrations - Versioned upgrades for stored and exported action queues
+ */
+
+import { MODULE_ID, debugLog } from './main.js';
+
+/**
+ * Schema version written by this release of the module
+ */
+export const QUEUE_SCHEMA_VERSION = '1.3.0';
+
+/**
+ * Built-in migrations, in version order. Each receives queue data at the previous
+ * version and returns it at its own version.
+ */
+const DEFAULT_MIGRATIONS = [
+  {
+    version: '1.0.0',
+    description: 'Wrap unversioned queues in {enabled, actions}',
+    migrate(data) {
+      // Queues only ran when explicitly enabled, so anything else stays disabled
+      if (Array.isArray(data)) return { enabled: false, actions: data };
+      return { ...data, enabled: data.enabled === true, actions: data.actions ?? [] };
+    }
+  },
+  {
+    version: '1.1.0',
+    description: 'Add cost, branch and trigger fields; normalize conditions and targeting data',
+    migrate(data) {
+      data.actions = data.actions.map((action, index) => {
+        const conditions = typeof action.conditions === 'string'
+          ? { type: action.conditions, value: null }
+          : action.conditions ?? { type: 'always', value: null };
+
+        const actionData = { ...(action.data ?? {}) };
+        if (typeof actionData.targetPriority === 'string') {
+          actionData.targetPriority = [actionData.targetPriority];
+        }
+        if (actionData.advantageOverride === 'true' || actionData.advantageOverride === 'false') {
+          actionData.advantageOverride = actionData.advantageOverride === 'true';
+        }
+        if (action.type === 'movement' && !actionData.targetType) {
+          actionData.targetType = 'waypoint';
+        }
+
+        return {
+          ...action,
+          id: action.id || foundry.utils.randomID(),
+          order: action.order ?? index,
+          enabled: action.enabled !== false,
+          conditions,
+          data: actionData,
+          cost: action.cost ?? null,
+          onSuccess: action.onSuccess ?? null,
+          onFailure: action.onFailure ?? null,
+          trigger: action.trigger ?? null
+        };
+      });
+      return data;
+    }
+  },
+  {
+    version: '1.2.0',
+    description: 'Add scheduling rules',
+    migrate(data) {
+      data.actions = data.actions.map(action => ({ ...action, schedule: action.schedule ?? null }));
+      return data;
+    }
+  },
+  {
+    version: '1.3.0',
+    description: 'Add blackboard memory entries',
+    migrate(data) {
+      data.actions = data.actions.map(action => ({ ...action, memory: action.memory ?? [] }));
+      return data;
+    }
+  }
+];
+
+export class QueueMigrator {
+  constructor() {
+    this.FLAG_KEY = 'actionQueue';
+    this.BACKUP_KEY = 'actionQueueBackups';
+    this.migrations = [...DEFAULT_MIGRATIONS];
+  }
+
+  /**
+   * Register an additional migration
+   * @param {string} version - Version the migration upgrades to
+   * @param {string} description - Shown in the migration report
+   * @param {Function} migrate - (data) => migrated data
+   */
+  register(version, description, migrate) {
+    this.migrations.push({ version, description, migrate });
+    this.migrations.sort((a, b) => foundry.utils.isNewerVersion(a.version, b.version) ? 1 : -1);
+  }
+
+  /**
+   * Get the schema version of stored or exported queue data
+   * @param {Object|Array} data - Queue data
+   * @returns {string}
+   */
+  getVersion(data) {
+    return Array.isArray(data) ? '0.0.0' : (data?.version ?? '0.0.0');
+  }
+
+  /**
+   * Whether data was written by a newer release than this one
+   * @param {Object|Array} data - Queue data
+   * @returns {boolean}
+   */
+  isUnsupported(data) {
+    return foundry.utils.isNewerVersion(this.getVersion(data), QUEUE_SCHEMA_VERSION);
+  }
+
+  /**
+   * Whether data is older than the current schema
+   * @param {Object|Array} data - Queue data
+   * @returns {boolean}
+   */
+  needsMigration(data) {
+    return foundry.utils.isNewerVersion(QUEUE_SCHEMA_VERSION, this.getVersion(data));
+  }
+
+  /**
+   * Upgrade queue data to the current schema. The input is not modified.
+   * @param {Object|Array} data - Stored flag or parsed export JSON
+   * @returns {Object} {data, from, to, applied}
+   */
+  migrate(data) {
+    const from = this.getVersion(data);
+    const applied = [];
+    let migrated = foundry.utils.deepClone(data);
+
+    for (const migration of this.migrations) {
+      if (!foundry.utils.isNewerVersion(migration.version, this.getVersion(migrated))) continue;
+
+      migrated = migration.migrate(migrated) ?? migrated;
+      migrated.version = migration.version;
+      applied.push(migration.version);
+    }
+
+    return { data: migrated, from, to: this.getVersion(migrated), applied };
+  }
+
+  /**
+   * Migrate the queue flag of every token and actor in the world, keeping a backup of each original.
+   * @returns {Promise<Object>} Report of shape {total, migrated, unsupported, failed}
+   */
+  async migrateWorld() {
+    const report = { total: 0, migrated: [], unsupported: [], failed: [] };
+
+    for (const scene of game.scenes) {
+      const updates = [];
+
+      for (const tokenDoc of scene.tokens) {
+        const update = this.prepareMigration(tokenDoc, report, { scene: scene.name });
+        if (update) updates.push({ _id: tokenDoc.id, ...update });
+      }
+
+      if (!updates.length) continue;
+
+      try {
+        await scene.updateEmbeddedDocuments('Token', updates);
+      } catch (error) {
+        // Nothing in this scene was written; report its tokens as failed instead of migrated
+        console.error(`Token Automation Manager | Error migrating queues in ${scene.name}:`, error);
+        const ids = new Set(updates.map(u => u._id));
+        for (const entry of report.migrated.filter(e => e.scene === scene.name && ids.has(e.id))) {
+          report.migrated.splice(report.migrated.indexOf(entry), 1);
+          report.failed.push({ ...entry, error: error.message });
+        }
+      }
+    }
+
+    // Queue templates stored on actors and their prototype tokens, written in one update each
+    const actorUpdates = [];
+    for (const actor of game.actors) {
+      const update = {
+        ...this.prepareMigration(actor, report, { scene: null }),
+        ...this.prepareMigration(actor, report, { scene: null, prototype: true }, 'prototypeToken.')
+      };
+      if (Object.keys(update).length) actorUpdates.push({ _id: actor.id, ...update });
+    }
+
+    if (actorUpdates.length) {
+      try {
+        await Actor.implementation.updateDocuments(actorUpdates);
+      } catch (error) {
+        console.error('Token Automation Manager | Error migrating actor queue templates:', error);
+        const ids = new Set(actorUpdates.map(u => u._id));
+        for (const entry of report.migrated.filter(e => e.scene === null && ids.has(e.id))) {
+          report.migrated.splice(report.migrated.indexOf(entry), 1);
+          report.failed.push({ ...entry, error: error.message });
+        }
+      }
+    }
+
+    debugLog('Queue migration report:', report);
+    if (report.migrated.length || report.unsupported.length || report.failed.length) {
+      await this.postReport(report);
+    }
+    return report;
+  }
+
+  /**
+   * Build the update that migrates one document's queue flag
+   * @param {Document} doc - Token document (or any document holding the flag)
+   * @param {Object} report - Report to add the outcome to
+   * @param {Object} details - Extra report fields (e.g. scene)
+   * @param {string} path - Where the flags sit on the document, e.g. 'prototypeToken.' on actors
+   * @returns {Object|null} Update data, or null if nothing to do
+   */
+  prepareMigration(doc, report, details = {}, path = '') {
+    const flags = `${path}flags.${MODULE_ID}`;
+    const data = foundry.utils.getProperty(doc, `${flags}.${this.FLAG_KEY}`);
+    if (!data) return null;
+
+    report.total++;
+    const name = details.prototype ? game.i18n.format('TAM.Migration.PrototypeToken', { name: doc.name }) : doc.name;
+    const entry = { id: doc.id, name, uuid: doc.uuid, ...details };
+
+    if (this.isUnsupported(data)) {
+      report.unsupported.push({ ...entry, version: this.getVersion(data) });
+      return null;
+    }
+    if (!this.needsMigration(data)) return null;
+
+    try {
+      const result = this.migrate(data);
+      const backups = foundry.utils.getProperty(doc, `${flags}.${this.BACKUP_KEY}`) ?? [];
+
+      report.migrated.push({ ...entry, from: result.from, to: result.to });
+      return {
+        [`${flags}.${this.FLAG_KEY}`]: result.data,
+        [`${flags}.${this.BACKUP_KEY}`]: [
+          ...backups,
+          { version: result.from, migratedAt: Date.now(), data }
+        ]
+      };
+    } catch (error) {
+      console.error(`Token Automation Manager | Error migrating queue for ${doc.name}:`, error);
+      report.failed.push({ ...entry, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Whisper the migration report to GMs
+   * @param {Object} report - Report from migrateWorld()
+   */
+  async postReport(report) {
+    const list = (entries, format) => entries.length
+      ? `<ul>${entries.map(e => `<li>${format(e)}</li>`).join('')}</ul>`
+      : '';
+
+    const content = `
+      <h3>${game.i18n.localize('TAM.Migration.ReportTitle')}</h3>
+      <p>${game.i18n.format('TAM.Migration.ReportSummary', {
+        total: report.total,
+        migrated: report.migrated.length,
+        unsupported: report.unsupported.length,
+        failed: report.failed.length,
+        version: QUEUE_SCHEMA_VERSION
+      })}</p>
+      ${list(report.migrated, e => `${e.scene ? `${e.scene}: ` : ''}${e.name} (${e.from} &rarr; ${e.to})`)}
+      ${report.unsupported.length ? `<p>${game.i18n.localize('TAM.Migration.Unsupported')}</p>` : ''}
+      ${list(report.unsupported, e => `${e.scene ? `${e.scene}: ` : ''}${e.name} (${e.version})`)}
+      ${report.failed.length ? `<p>${game.i18n.localize('TAM.Migration.Failed')}</p>` : ''}
+      ${list(report.failed, e => `${e.scene ? `${e.scene}: ` : ''}${e.name}: ${e.error}`)}
+      <p class="notes">${game.i18n.localize('TAM.Migration.BackupNote')}</p>
+    `;
+
+    await ChatMessage.create({
+      content,
+      whisper: ChatMessage.getWhisperRecipients('GM').map(u => u.id),
+      speaker: { alias: game.i18n.localize('TAM.ModuleName') }
+    });
+  }
+
+  /**
+   * Restore a document's queue from its oldest backup (the data before the first migration)
+   * @param {Document} doc - Token document holding the backup
+   * @param {string} path - Where the flags sit on the document, e.g. 'prototypeToken.' on actors
+   * @returns {Promise<boolean>}
+   */
+  async restoreBackup(doc, path = '') {
+    const flags = `${path}flags.${MODULE_ID}`;
+    const backups = foundry.utils.getProperty(doc, `${flags}.${this.BACKUP_KEY}`);
+    if (!backups?.length) return false;
+
+    await doc.update({ [`${flags}.${this.FLAG_KEY}`]: backups[0].data });
+    return true;
+  }
+}
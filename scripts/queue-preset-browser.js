@@ -0,0 +1,274 @@
+/**
+ * Queue Preset Browser - Browse, tag and apply queue presets to selected tokens
+ */
+
+import { PresetSource } from './queue-presets.js';
+import { ActionQueueEditor } from './action-queue-editor.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class QueuePresetBrowser extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {Token|null} token - Token whose queue can be saved as a preset
+   * @param {Object} options - Application options
+   */
+  constructor(token = null, options = {}) {
+    super(options);
+    this.token = token;
+    this.filter = { tag: '', search: '' };
+    this.append = false;
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'token-automation-manager-queue-presets',
+    classes: ['queue-preset-browser'],
+    window: {
+      title: 'TAM.Presets.Title',
+      icon: 'fas fa-book',
+      resizable: true
+    },
+    position: {
+      width: 520,
+      height: 'auto'
+    },
+    actions: {
+      applyPreset: QueuePresetBrowser.#onApplyPreset,
+      savePreset: QueuePresetBrowser.#onSavePreset,
+      editPreset: QueuePresetBrowser.#onEditPreset,
+      copyToPack: QueuePresetBrowser.#onCopyToPack,
+      deletePreset: QueuePresetBrowser.#onDeletePreset
+    }
+  };
+
+  static PARTS = {
+    browser: {
+      template: 'modules/token-automation-manager/templates/queue-preset-browser.hbs',
+      scrollable: ['.preset-list']
+    }
+  };
+
+  /**
+   * Open the browser, reusing an existing window if one is open
+   * @param {Token|null} token - Token whose queue can be saved as a preset
+   * @returns {QueuePresetBrowser}
+   */
+  static open(token = null) {
+    const existing = foundry.applications.instances?.get(QueuePresetBrowser.DEFAULT_OPTIONS.id);
+    if (existing) {
+      existing.token = token ?? existing.token;
+      existing.render({ force: true });
+      existing.bringToFront?.();
+      return existing;
+    }
+    const browser = new QueuePresetBrowser(token);
+    browser.render({ force: true });
+    return browser;
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const library = game.tokenAutomation.queuePresets;
+    const presets = await library.getPresets();
+    const tagChoices = library.getTagChoices(presets);
+    const search = this.filter.search.toLowerCase();
+
+    const shown = presets
+      .filter(p => !this.filter.tag || p.tags?.includes(this.filter.tag))
+      .filter(p => !search || p.name.toLowerCase().includes(search) || p.description?.toLowerCase().includes(search))
+      .map(p => ({
+        ...p,
+        tagLabels: (p.tags ?? []).map(tag => tagChoices[tag] ?? tag),
+        actionCount: p.queue?.actions?.length ?? 0,
+        inPack: p.source === PresetSource.PACK
+      }));
+
+    return {
+      presets: shown,
+      tagChoices: { '': 'TAM.Presets.AllTags', ...tagChoices },
+      filter: this.filter,
+      append: this.append,
+      hasPack: !!library.getPack(),
+      isGM: game.user.isGM,
+      tokenName: this.token?.name ?? null,
+      selectedCount: this.getTargetTokens().length
+    };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    this.element.querySelector('[name="tag"]')?.addEventListener('change', event => {
+      this.filter.tag = event.target.value;
+      this.render();
+    });
+    this.element.querySelector('[name="search"]')?.addEventListener('change', event => {
+      this.filter.search = event.target.value;
+      this.render();
+    });
+    this.element.querySelector('[name="append"]')?.addEventListener('change', event => {
+      this.append = event.target.checked;
+    });
+  }
+
+  /**
+   * Tokens a preset is applied to: the controlled tokens, else the browser's token
+   * @returns {Array<Token>}
+   */
+  getTargetTokens() {
+    const controlled = canvas.tokens?.controlled ?? [];
+    if (controlled.length) return controlled;
+    return this.token ? [this.token] : [];
+  }
+
+  /**
+   * Find the preset a control belongs to
+   * @param {HTMLElement} target - Clicked element
+   * @returns {Promise<Object|null>}
+   */
+  async _getPresetFromTarget(target) {
+    const row = target.closest('[data-preset-id]');
+    if (!row) return null;
+    return await game.tokenAutomation.queuePresets.getPreset(row.dataset.presetId, row.dataset.source);
+  }
+
+  /**
+   * Ask for a preset's name, description, tags and (for new presets) where to store it
+   * @param {Object} preset - Current values
+   * @param {boolean} chooseSource - Offer world or compendium storage
+   * @returns {Promise<Object|null>} {name, description, tags, source}
+   */
+  async _promptDetails(preset, chooseSource) {
+    const library = game.tokenAutomation.queuePresets;
+    const tagOptions = Object.keys(library.getTagChoices()).map(tag => `<option value="${tag}"></option>`).join('');
+    const escape = Handlebars.escapeExpression;
+
+    const sourceField = chooseSource && library.getPack() ? `
+      <div class="form-group">
+        <label>${game.i18n.localize('TAM.Presets.StoreIn')}</label>
+        <select name="source">
+          <option value="${PresetSource.WORLD}">${game.i18n.localize('TAM.Presets.Source.world')}</option>
+          <option value="${PresetSource.PACK}">${escape(library.getPack().title)}</option>
+        </select>
+      </div>` : '';
+
+    return await foundry.applications.api.DialogV2.prompt({
+      window: { title: preset.id ? 'TAM.Presets.Edit' : 'TAM.Presets.Save' },
+      content: `
+        <div class="form-group">
+          <label>${game.i18n.localize('TAM.Presets.Name')}</label>
+          <input type="text" name="name" value="${escape(preset.name ?? '')}" required>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize('TAM.Presets.Description')}</label>
+          <input type="text" name="description" value="${escape(preset.description ?? '')}">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize('TAM.Presets.Tags')}</label>
+          <input type="text" name="tags" list="tam-preset-tags" value="${escape((preset.tags ?? []).join(', '))}"
+                 placeholder="${game.i18n.localize('TAM.Presets.TagsHint')}">
+          <datalist id="tam-preset-tags">${tagOptions}</datalist>
+        </div>
+        ${sourceField}
+      `,
+      ok: {
+        label: 'TAM.Presets.Save',
+        callback: (event, button) => {
+          const form = button.form.elements;
+          return {
+            name: form.name.value.trim(),
+            description: form.description.value.trim(),
+            tags: library.normalizeTags(form.tags.value),
+            source: form.source?.value ?? PresetSource.WORLD
+          };
+        }
+      },
+      rejectClose: false
+    });
+  }
+
+  static async #onApplyPreset(event, target) {
+    const preset = await this._getPresetFromTarget(target);
+    if (!preset) return;
+
+    const tokens = this.getTargetTokens();
+    if (!tokens.length) {
+      ui.notifications.warn(game.i18n.localize('TAM.Presets.NoTokens'));
+      return;
+    }
+
+    const results = await game.tokenAutomation.queuePresets.applyPreset(preset, tokens, { append: this.append });
+    const applied = results.filter(r => r.success);
+
+    if (applied.length) {
+      ui.notifications.info(game.i18n.format('TAM.Presets.Applied', { name: preset.name, count: applied.length }));
+    }
+    for (const result of results.filter(r => !r.success)) {
+      ui.notifications.error(game.i18n.format('TAM.Presets.ApplyFailed', {
+        token: result.token.name,
+        message: result.errors[0]?.message ?? game.i18n.localize('TAM.ActionQueue.ImportError')
+      }));
+    }
+    const adjusted = applied.filter(r => r.warnings.length).length;
+    if (adjusted) ui.notifications.warn(game.i18n.format('TAM.Presets.Adjusted', { count: adjusted }));
+
+    applied.forEach(r => ActionQueueEditor.reload(r.token));
+  }
+
+  static async #onSavePreset(event, target) {
+    if (!this.token) return;
+
+    const library = game.tokenAutomation.queuePresets;
+    const preset = library.createFromToken(this.token);
+    if (!preset.queue.actions.length) {
+      ui.notifications.warn(game.i18n.format('TAM.Presets.EmptyQueue', { name: this.token.name }));
+      return;
+    }
+
+    const details = await this._promptDetails(preset, true);
+    if (!details?.name) return;
+
+    const { source, ...fields } = details;
+    const saved = await library.savePreset({ ...preset, ...fields, id: null }, source);
+    if (saved) ui.notifications.info(game.i18n.format('TAM.Presets.Saved', { name: saved.name }));
+    this.render();
+  }
+
+  static async #onEditPreset(event, target) {
+    const preset = await this._getPresetFromTarget(target);
+    if (!preset?.editable) return;
+
+    const details = await this._promptDetails(preset, false);
+    if (!details?.name) return;
+
+    const { source, ...fields } = details;
+    await game.tokenAutomation.queuePresets.savePreset({ ...preset, ...fields }, preset.source);
+    this.render();
+  }
+
+  static async #onCopyToPack(event, target) {
+    const preset = await this._getPresetFromTarget(target);
+    if (!preset) return;
+
+    const library = game.tokenAutomation.queuePresets;
+    const saved = await library.savePreset({ ...preset, id: null }, PresetSource.PACK);
+    if (saved) {
+      ui.notifications.info(game.i18n.format('TAM.Presets.Copied', { name: saved.name, pack: library.getPack().title }));
+    }
+    this.render();
+  }
+
+  static async #onDeletePreset(event, target) {
+    const preset = await this._getPresetFromTarget(target);
+    if (!preset?.editable) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'TAM.Presets.Delete' },
+      content: `<p>${game.i18n.format('TAM.Presets.DeleteConfirm', { name: preset.name })}</p>`
+    });
+    if (!confirmed) return;
+
+    await game.tokenAutomation.queuePresets.deletePreset(preset);
+    this.render();
+  }
+}
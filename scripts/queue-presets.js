@@ -0,0 +1,238 @@
+/**
+ * Queue Presets - Named, reusable action queues stored in the world or a compendium pack
+ */
+
+import { MODULE_ID, debugLog } from './main.js';
+
+/**
+ * Where a preset is stored
+ */
+export const PresetSource = {
+  WORLD: 'world', // World setting, shared by everyone in this world
+  PACK: 'pack'    // JournalEntry compendium, can be shared between worlds
+};
+
+export class QueuePresetLibrary {
+  constructor() {
+    this.SETTING_KEY = 'queuePresets';
+    this.FLAG_KEY = 'queuePreset';
+  }
+
+  /**
+   * Get the compendium configured for presets
+   * @returns {CompendiumCollection|null}
+   */
+  getPack() {
+    const id = game.settings.get(MODULE_ID, 'presetPack');
+    const pack = id ? game.packs.get(id) : null;
+    return pack?.documentName === 'JournalEntry' ? pack : null;
+  }
+
+  /**
+   * Get every preset from the world and the preset compendium
+   * @returns {Promise<Array<Object>>} Presets of shape {id, name, description, tags, queue, source, editable}
+   */
+  async getPresets() {
+    const presets = Object.values(game.settings.get(MODULE_ID, this.SETTING_KEY) ?? {})
+      .map(preset => ({ ...preset, source: PresetSource.WORLD, editable: game.user.isGM }));
+
+    const pack = this.getPack();
+    if (pack) {
+      try {
+        for (const doc of await pack.getDocuments()) {
+          const preset = doc.getFlag(MODULE_ID, this.FLAG_KEY);
+          if (!preset) continue;
+          presets.push({
+            ...preset,
+            id: doc.id,
+            source: PresetSource.PACK,
+            editable: game.user.isGM && !pack.locked
+          });
+        }
+      } catch (error) {
+        console.error(`Token Automation Manager | Error reading presets from ${pack.collection}:`, error);
+      }
+    }
+
+    return presets.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find a preset
+   * @param {string} id - Preset ID
+   * @param {string} source - PresetSource value
+   * @returns {Promise<Object|null>}
+   */
+  async getPreset(id, source) {
+    const presets = await this.getPresets();
+    return presets.find(p => p.id === id && p.source === source) ?? null;
+  }
+
+  /**
+   * Build a preset from a token's queue. Tags default to the actor's creature type.
+   * @param {Token} token - Token to copy the queue from
+   * @param {Object} details - {name, description, tags}
+   * @returns {Object} Unsaved preset
+   */
+  createFromToken(token, { name, description = '', tags } = {}) {
+    const creatureType = this.getCreatureType(token.actor);
+    return {
+      id: foundry.utils.randomID(),
+      name: name || token.name,
+      description,
+      tags: this.normalizeTags(tags ?? (creatureType ? [creatureType] : [])),
+      queue: game.tokenAutomation.actionQueueManager.getExportData(token),
+      createdAt: Date.now()
+    };
+  }
+
+  /**
+   * Save a new or edited preset
+   * @param {Object} preset - Preset data
+   * @param {string} source - Where to store it (PresetSource value)
+   * @returns {Promise<Object|null>} The stored preset, or null on failure
+   */
+  async savePreset(preset, source = PresetSource.WORLD) {
+    const data = {
+      id: preset.id ?? foundry.utils.randomID(),
+      name: preset.name,
+      description: preset.description ?? '',
+      tags: this.normalizeTags(preset.tags),
+      queue: preset.queue,
+      createdAt: preset.createdAt ?? Date.now()
+    };
+
+    try {
+      if (source === PresetSource.PACK) {
+        const pack = this.getPack();
+        if (!pack) throw new Error('No preset compendium is configured');
+        if (pack.locked) throw new Error(`${pack.title} is locked`);
+
+        const journalData = {
+          name: data.name,
+          pages: [{ name: data.name, type: 'text', text: { content: this.describePreset(data) } }],
+          flags: { [MODULE_ID]: { [this.FLAG_KEY]: data } }
+        };
+
+        const existing = pack.index.get(data.id) ? await pack.getDocument(data.id) : null;
+        if (existing) {
+          await existing.update({ name: data.name, [`flags.${MODULE_ID}.${this.FLAG_KEY}`]: data });
+          await existing.pages.contents[0]?.update({ 'text.content': this.describePreset(data) });
+        } else {
+          const doc = await JournalEntry.implementation.create(journalData, { pack: pack.collection });
+          data.id = doc.id;
+        }
+      } else {
+        const presets = foundry.utils.deepClone(game.settings.get(MODULE_ID, this.SETTING_KEY) ?? {});
+        presets[data.id] = data;
+        await game.settings.set(MODULE_ID, this.SETTING_KEY, presets);
+      }
+
+      debugLog(`Saved queue preset ${data.name} (${source})`);
+      return { ...data, source };
+    } catch (error) {
+      console.error('Token Automation Manager | Error saving queue preset:', error);
+      ui.notifications.error(game.i18n.format('TAM.Presets.SaveError', { message: error.message }));
+      return null;
+    }
+  }
+
+  /**
+   * Delete a preset
+   * @param {Object} preset - Preset from getPresets()
+   * @returns {Promise<boolean>}
+   */
+  async deletePreset(preset) {
+    try {
+      if (preset.source === PresetSource.PACK) {
+        const pack = this.getPack();
+        const doc = pack ? await pack.getDocument(preset.id) : null;
+        if (!doc) return false;
+        await doc.delete();
+      } else {
+        const presets = foundry.utils.deepClone(game.settings.get(MODULE_ID, this.SETTING_KEY) ?? {});
+        delete presets[preset.id];
+        await game.settings.set(MODULE_ID, this.SETTING_KEY, presets);
+      }
+      return true;
+    } catch (error) {
+      console.error('Token Automation Manager | Error deleting queue preset:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Replace (or extend) the queues of several tokens with a preset. Items are rebound
+   * to each token's actor by identifier or name, as for imports.
+   * @param {Object} preset - Preset from getPresets()
+   * @param {Array<Token>} tokens - Tokens to apply it to
+   * @param {Object} options
+   * @param {boolean} options.append - Add to each token's queue instead of replacing it
+   * @returns {Promise<Array<Object>>} One import result per token, with a token field added
+   */
+  async applyPreset(preset, tokens, { append = false } = {}) {
+    const queueManager = game.tokenAutomation.actionQueueManager;
+    const results = [];
+
+    for (const token of tokens) {
+      if (!token.isOwner) {
+        results.push({ token, success: false, count: 0, errors: [{ path: '', message: 'You do not own this token' }], warnings: [] });
+        continue;
+      }
+
+      const result = await queueManager.importQueueData(token, preset.queue, append);
+      results.push({ token, ...result });
+    }
+
+    debugLog(`Applied preset ${preset.name}:`, results);
+    return results;
+  }
+
+  /**
+   * Get the creature type of an actor (dnd5e NPCs)
+   * @param {Actor} actor - The actor
+   * @returns {string|null}
+   */
+  getCreatureType(actor) {
+    return actor?.system?.details?.type?.value || null;
+  }
+
+  /**
+   * Tags offered for filtering: every creature type, plus custom tags in use
+   * @param {Array<Object>} presets - Presets in the library
+   * @returns {Object} Tag -> label
+   */
+  getTagChoices(presets = []) {
+    const choices = {};
+    for (const [key, value] of Object.entries(CONFIG.DND5E?.creatureTypes ?? {})) {
+      choices[key] = game.i18n.localize(value?.label ?? value);
+    }
+    for (const tag of presets.flatMap(p => p.tags ?? [])) {
+      choices[tag] ??= tag;
+    }
+    return choices;
+  }
+
+  /**
+   * @param {Array<string>|string} tags - Tags, or a comma-separated list
+   * @returns {Array<string>} Lower-case, trimmed and unique
+   */
+  normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : (tags ?? []);
+    return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  /**
+   * Readable summary stored as the journal page of a compendium preset
+   * @param {Object} preset - Preset data
+   * @returns {string} HTML
+   */
+  describePreset(preset) {
+    const actions = (preset.queue?.actions ?? []).map(a => `<li>${a.name} (${a.type})</li>`).join('');
+    return `
+      ${preset.description ? `<p>${preset.description}</p>` : ''}
+      ${preset.tags.length ? `<p><strong>${game.i18n.localize('TAM.Presets.Tags')}:</strong> ${preset.tags.join(', ')}</p>` : ''}
+      <ol>${actions}</ol>
+    `;
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Reaction Manager - Fires REACTION queue entries outside the reacting token's turn
+ */
+
+import { MODULE_ID, debugLog } from './main.js';
+import { ReactionTrigger } from './action-queue.js';
+
+export class ReactionManager {
+  constructor() {
+    this.positions = new Map(); // Token ID -> {x, y} before the latest update
+    this.reacting = new Set();  // Token IDs with a reaction in progress
+  }
+
+  /**
+   * Initialize reaction trigger hooks
+   */
+  init() {
+    // Positions are cached because updateToken only reports the new coordinates
+    Hooks.on('canvasReady', () => this.cachePositions());
+    Hooks.on('createToken', doc => this.positions.set(doc.id, { x: doc.x, y: doc.y }));
+    Hooks.on('deleteToken', doc => this.positions.delete(doc.id));
+    Hooks.on('updateToken', this.onUpdateToken.bind(this));
+
+    // Defensive reactions resolve before MIDI checks whether the attack hits
+    Hooks.on('midi-qol.preCheckHits', this.onMidiPreCheckHits.bind(this));
+
+    this.cachePositions();
+
+    debugLog('Reaction Manager initialized');
+  }
+
+  /**
+   * Remember the position of every token on the current scene
+   */
+  cachePositions() {
+    this.positions.clear();
+    for (const token of canvas.tokens?.placeables ?? []) {
+      this.positions.set(token.id, { x: token.document.x, y: token.document.y });
+    }
+  }
+
+  /**
+   * Handle token movement: a hostile leaving reach provokes an opportunity attack
+   */
+  async onUpdateToken(doc, changes, options) {
+    if (!('x' in changes || 'y' in changes)) return;
+
+    const origin = this.positions.get(doc.id);
+    this.positions.set(doc.id, { x: doc.x, y: doc.y });
+
+    if (!origin || options.teleport) return;
+    if (!game.combat?.started) return;
+
+    const mover = doc.object;
+    if (!mover) return;
+
+    const before = { x: origin.x, y: origin.y, w: mover.w, h: mover.h };
+    const after = { x: doc.x, y: doc.y, w: mover.w, h: mover.h };
+
+    // Every client sees the move; each resolves the reactions of the tokens it runs
+    const authority = game.tokenAutomation.executionAuthority;
+    for (const reactor of this.getCombatReactors(ReactionTrigger.OPPORTUNITY_ATTACK)) {
+      if (reactor === mover || !authority.isExecutor(reactor)) continue;
+
+      const attackSystem = game.tokenAutomation.attackSystem;
+      if (!attackSystem.getValidTargets(reactor).includes(mover)) continue;
+
+      const position = { x: reactor.document.x, y: reactor.document.y, w: reactor.w, h: reactor.h };
+
+      for (const action of this.getReactions(reactor, ReactionTrigger.OPPORTUNITY_ATTACK)) {
+        const item = action.data?.itemUuid ? await fromUuid(action.data.itemUuid) : null;
+        const reach = attackSystem.getItemRange(item).reach || attackSystem.convertToSceneUnits(5, 'ft');
+
+        const leftReach = attackSystem.measureTokenDistance(position, before) <= reach
+          && attackSystem.measureTokenDistance(position, after) > reach;
+        if (!leftReach) continue;
+
+        debugLog(`${mover.name} left the reach of ${reactor.name}`);
+        if (await this.triggerReaction(reactor, action, mover)) break;
+      }
+    }
+  }
+
+  /**
+   * Handle a MIDI attack roll: each target may react before hits are checked
+   * @param {Object} workflow - MIDI QOL workflow
+   */
+  async onMidiPreCheckHits(workflow) {
+    if (!game.combat?.started) return;
+
+    const attacker = workflow.token?.object ?? workflow.token ?? null;
+    const authority = game.tokenAutomation.executionAuthority;
+    const attackTotal = workflow.attackTotal ?? workflow.attackRoll?.total ?? null;
+
+    for (const target of workflow.targets ?? []) {
+      const reactor = target.object ?? target;
+      if (!reactor?.actor || reactor === attacker) continue;
+
+      // MIDI runs the workflow on the attacker's client; other tokens' reactions are
+      // run by their elected client, and the workflow waits for the answer
+      const local = authority.isExecutor(reactor);
+      for (const action of this.getReactions(reactor, ReactionTrigger.TARGETED_BY_ATTACK)) {
+        if (action.trigger.onlyIfHit && attackTotal !== null) {
+          const ac = reactor.actor.system.attributes.ac?.value ?? 0;
+          if (attackTotal < ac) continue;
+        }
+
+        const used = local
+          ? await this.triggerReaction(reactor, action, attacker)
+          : await authority.requestReaction(reactor, action, attacker);
+        if (used) break;
+      }
+    }
+  }
+
+  /**
+   * Get tokens in the active combat that have reactions for a trigger
+   * @param {string} triggerType - ReactionTrigger value
+   * @returns {Array<Token>}
+   */
+  getCombatReactors(triggerType) {
+    return game.combat.combatants
+      .map(c => c.token?.object)
+      .filter(token => token?.actor && this.getReactions(token, triggerType).length > 0);
+  }
+
+  /**
+   * Get a token's enabled reactions for a trigger, if its queue is enabled
+   * @param {Token} token - The token
+   * @param {string} triggerType - ReactionTrigger value
+   * @returns {Array<ActionQueueItem>}
+   */
+  getReactions(token, triggerType) {
+    const queueManager = game.tokenAutomation?.actionQueueManager;
+    if (!queueManager?.isQueueEnabled(token)) return [];
+    return queueManager.getReactions(token, triggerType);
+  }
+
+  /**
+   * Ask for confirmation if required, then execute the reaction
+   * @param {Token} reactor - The reacting token
+   * @param {ActionQueueItem} action - The REACTION entry
+   * @param {Token|null} triggerToken - The token that provoked it
+   * @returns {Promise<boolean>} Whether the reaction was used
+   */
+  async triggerReaction(reactor, action, triggerToken) {
+    if (this.reacting.has(reactor.id)) return false;
+    if (reactor.actor.system.attributes.hp?.value <= 0) return false;
+
+    const executor = game.tokenAutomation.actionExecutor;
+    if (!executor.getBudget(reactor).canAfford(action.getCost())) return false;
+    if (!game.tokenAutomation.actionScheduler.check(action, reactor).allowed) return false;
+
+    this.reacting.add(reactor.id);
+    try {
+      if (game.settings.get(MODULE_ID, 'confirmReactions') && !await this.confirmReaction(reactor, action, triggerToken)) {
+        debugLog(`Reaction ${action.name} declined for ${reactor.name}`);
+        return false;
+      }
+
+      const result = await executor.executeReaction(reactor, action, triggerToken);
+      if (!result) return false;
+
+      ui.notifications.info(game.i18n.format('TAM.Notifications.ReactionUsed', {
+        name: reactor.name,
+        action: action.name
+      }));
+      return result.success;
+    } catch (error) {
+      console.error('Token Automation Manager | Error executing reaction:', error);
+      return false;
+    } finally {
+      this.reacting.delete(reactor.id);
+    }
+  }
+
+  /**
+   * Ask whether to use a reaction. Declines when the dialog is closed or times out.
+   * @param {Token} reactor - The reacting token
+   * @param {ActionQueueItem} action - The REACTION entry
+   * @param {Token|null} triggerToken - The token that provoked it
+   * @returns {Promise<boolean>}
+   */
+  confirmReaction(reactor, action, triggerToken) {
+    const timeout = game.settings.get(MODULE_ID, 'reactionTimeout') * 1000;
+    const content = `<p>${game.i18n.format('TAM.Reactions.ConfirmContent', {
+      name: reactor.name,
+      action: action.name,
+      trigger: triggerToken?.name ?? '-'
+    })}</p>`;
+
+    return new Promise(resolve => {
+      const dialog = new foundry.applications.api.DialogV2({
+        window: { title: 'TAM.Reactions.ConfirmTitle' },
+        content,
+        buttons: [
+          { action: 'use', label: 'TAM.Reactions.Use', icon: 'fas fa-bolt', default: true, callback: () => true },
+          { action: 'decline', label: 'TAM.Reactions.Decline', icon: 'fas fa-times', callback: () => false }
+        ],
+        submit: result => resolve(result === true)
+      });
+
+      dialog.addEventListener('close', () => resolve(false), { once: true });
+      dialog.render({ force: true });
+
+      if (timeout > 0) {
+        setTimeout(() => {
+          resolve(false);
+          if (dialog.rendered) dialog.close();
+        }, timeout);
+      }
+    });
+  }
+}
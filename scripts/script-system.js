@@ -0,0 +1,191 @@
+/**
+ * Script System - Runs Foundry macros and inline scripts as queued actions
+ */
+
+import { MODULE_ID, debugLog } from './main.js';
+
+/**
+ * Seconds a script may run before the queue stops waiting for it
+ */
+export const DEFAULT_SCRIPT_TIMEOUT = 10;
+const MAX_SCRIPT_TIMEOUT = 300;
+
+/**
+ * Result fields a script may report back to the queue
+ */
+const RESULT_FIELDS = ['success', 'message', 'error', 'value', 'targetId', 'targetName', 'hit', 'damage', 'saves', 'saved'];
+
+const AsyncFunction = (async function() {}).constructor;
+
+/**
+ * Check the shape of a macro action's data
+ * @param {Object} data - {macroUuid, script, timeout}
+ * @param {string} path - Path for error reports
+ * @returns {Array<Object>} Errors of shape {path, message}
+ */
+export function validateScriptData(data, path = 'data') {
+  const errors = [];
+  if (data.macroUuid != null && typeof data.macroUuid !== 'string') {
+    errors.push({ path: `${path}.macroUuid`, message: 'Must be a macro UUID' });
+  }
+  if (data.script != null && typeof data.script !== 'string') {
+    errors.push({ path: `${path}.script`, message: 'Must be text' });
+  }
+  if (!data.macroUuid && !data.script?.trim()) {
+    errors.push({ path, message: 'Needs a macro or a script' });
+  }
+  if (data.authorId != null && typeof data.authorId !== 'string') {
+    errors.push({ path: `${path}.authorId`, message: 'Must be a user ID' });
+  }
+  if (data.timeout != null && !(Number.isFinite(data.timeout) && data.timeout > 0 && data.timeout <= MAX_SCRIPT_TIMEOUT)) {
+    errors.push({ path: `${path}.timeout`, message: `Must be between 1 and ${MAX_SCRIPT_TIMEOUT} seconds` });
+  }
+  return errors;
+}
+
+export class ScriptSystem {
+  /**
+   * Run a macro action. Errors and timeouts become failed results, so a broken script
+   * never escapes into the queue; only an abort of the workflow is rethrown.
+   * @param {Token} token - The acting token
+   * @param {Object} data - {macroUuid, script, timeout}
+   * @param {Object} options
+   * @param {Object} options.workflow - The running workflow
+   * @param {ActionQueueItem} options.action - The action being run
+   * @returns {Promise<Object>} Result of shape {success, message|error, value, ...}
+   */
+  async executeScript(token, data, { workflow, action }) {
+    const { control } = workflow;
+    const prepared = this.prepare(data);
+    if (prepared.error) return { success: false, error: prepared.error };
+
+    const scope = this.createScope(token, action, workflow);
+    const timeout = (data.timeout || DEFAULT_SCRIPT_TIMEOUT) * 1000;
+    let timer;
+
+    try {
+      const run = prepared.macro
+        ? Promise.resolve().then(() => prepared.macro.execute(scope))
+        : Promise.resolve().then(() => prepared.fn.call(null, ...Object.values(scope)));
+      const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeout / 1000}s`)), timeout);
+      });
+
+      const value = await control.guard(Promise.race([run, expired]));
+      const result = this.normalizeResult(value, prepared.label);
+      debugLog(`${prepared.label} returned:`, result);
+      return result;
+    } catch (error) {
+      if (control.aborted) throw error;
+      console.error(`Token Automation Manager | Error in ${prepared.label}:`, error);
+      return { success: false, error: `${prepared.label}: ${error.message}` };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Check what a macro action would run, without running it
+   * @param {Object} data - {macroUuid, script, timeout}
+   * @returns {Object} Result in the same shape executeScript() returns
+   */
+  planScript(data) {
+    const prepared = this.prepare(data);
+    if (prepared.error) return { success: false, error: prepared.error };
+    return { success: true, message: `Would run ${prepared.label}` };
+  }
+
+  /**
+   * Resolve the macro, or compile the inline script
+   * @param {Object} data - {macroUuid, script, authorId}
+   * @returns {Object} {macro, fn, label} or {error}
+   */
+  prepare(data) {
+    if (data.macroUuid) {
+      const macro = fromUuidSync(data.macroUuid, { strict: false });
+      if (!(macro instanceof Macro)) return { error: 'Macro not found' };
+      if (macro.canExecute === false) return { error: `You cannot run ${macro.name}` };
+      // The same rule Foundry applies to creating script macros, checked against whoever wrote it
+      if (macro.type === 'script' && macro.author && !macro.author.can('MACRO_SCRIPT')) {
+        return { error: `${macro.name} was written by a user who may not write scripts` };
+      }
+      return { macro, label: `macro ${macro.name}` };
+    }
+
+    if (!data.script?.trim()) return { error: 'No macro or script specified' };
+    if (!game.settings.get(MODULE_ID, 'allowInlineScripts')) {
+      return { error: 'Inline scripts are disabled in the module settings' };
+    }
+    
+    // Checked where the script runs: the GM's client runs it for absent owners
+    const author = game.users.get(data.authorId);
+    if (!author) return { error: 'Inline script has no known author; save the queue again' };
+    if (!author.can('MACRO_SCRIPT')) return { error: `Inline script was saved by ${author.name}, who may not write scripts` };
+
+    try {
+      const fn = new AsyncFunction(...Object.keys(this.createScope()), data.script);
+      return { fn, label: 'inline script' };
+    } catch (error) {
+      return { error: `Inline script does not compile: ${error.message}` };
+    }
+  }
+
+  /**
+   * Variables a script can read. Macros receive them as their scope; inline scripts as arguments.
+   * @param {Token} [token] - The acting token
+   * @param {ActionQueueItem} [action] - The action being run
+   * @param {Object} [workflow] - The running workflow
+   * @returns {Object} {actor, token, combat, action, results, lastResult, blackboard}
+   */
+  createScope(token = null, action = null, workflow = null) {
+    const blackboard = game.tokenAutomation?.blackboard;
+    const history = workflow?.history ?? [];
+
+    return {
+      actor: token?.actor ?? null,
+      token,
+      combat: workflow?.context.combat ?? null,
+      action: action?.toObject() ?? null,
+      results: Object.fromEntries(workflow?.results ?? []),
+      lastResult: history[history.length - 1]?.result ?? null,
+      blackboard: token && blackboard ? {
+        get: key => blackboard.get(token, key),
+        getAll: () => blackboard.getAll(token),
+        set: (key, value) => blackboard.set(token, key, value),
+        increment: (key, amount) => blackboard.increment(token, key, amount),
+        clear: key => blackboard.clear(token, key)
+      } : null
+    };
+  }
+
+  /**
+   * Turn a script's return value into an action result:
+   *   undefined, null or true - success
+   *   false                   - failure
+   *   {success, message, value, targetId, hit, ...} - reported fields are kept
+   *   anything else           - success, with the value available to later conditions
+   * @param {*} value - Return value
+   * @param {string} label - Name for messages
+   * @returns {Object}
+   */
+  normalizeResult(value, label) {
+    if (value === undefined || value === null || value === true) {
+      return { success: true, value: null, message: `Ran ${label}` };
+    }
+    if (value === false) return { success: false, value: null, error: `${label} reported failure` };
+
+    if (typeof value === 'object' && !Array.isArray(value) && !(value instanceof foundry.abstract.DataModel)) {
+      const result = { message: `Ran ${label}`, value: null };
+      for (const field of RESULT_FIELDS) {
+        if (field in value) result[field] = value[field];
+      }
+      result.success = value.success !== false;
+      if (!result.success) result.error ??= `${label} reported failure`;
+      return result;
+    }
+
+    // Chat macros return their message; other values are passed through
+    if (value instanceof foundry.abstract.DataModel) return { success: true, value: null, message: `Ran ${label}` };
+    return { success: true, value, message: `Ran ${label}` };
+  }
+}
@@ -0,0 +1,381 @@
+/**
+ * Summon Manager - Links summoned tokens to their summoner and commands them as a group
+ */
+
+import { MODULE_ID, debugLog } from './main.js';
+
+/**
+ * What happens to a summoner's summons when its concentration ends or it drops to 0 HP
+ */
+export const SummonCleanup = {
+  NONE: 'none',       // Leave them alone
+  DISABLE: 'disable', // Turn off their queues and remove the link
+  DISMISS: 'dismiss'  // Delete the summoned tokens
+};
+
+export class SummonManager {
+  constructor() {
+    this.FLAG_KEY = 'summoner';
+    this.turnEffects = new Set(); // Concentration effect IDs the acting combatant had when its turn began
+  }
+
+  /**
+   * Initialize auto-linking and cleanup hooks
+   */
+  init() {
+    Hooks.on('updateCombat', this.onUpdateCombat.bind(this));
+    Hooks.on('createToken', this.onCreateToken.bind(this));
+    Hooks.on('deleteActiveEffect', this.onDeleteActiveEffect.bind(this));
+    Hooks.on('updateActor', this.onUpdateActor.bind(this));
+    debugLog('Summon Manager initialized');
+  }
+
+  /**
+   * Get the link stored on a summoned token
+   * @param {Token|TokenDocument} token - The summoned token
+   * @returns {Object|null} {tokenId, actorUuid, concentrationId, round}
+   */
+  getLink(token) {
+    const doc = token.document ?? token;
+    return doc.flags?.[MODULE_ID]?.[this.FLAG_KEY] ?? null;
+  }
+
+  /**
+   * Get the summoner of a token, if it is placed on the same scene
+   * @param {Token|TokenDocument} token - The summoned token
+   * @returns {Token|null}
+   */
+  getSummoner(token) {
+    const link = this.getLink(token);
+    if (!link?.tokenId) return null;
+    const doc = token.document ?? token;
+    return doc.parent?.tokens.get(link.tokenId)?.object ?? null;
+  }
+
+  /**
+   * Get the tokens linked to a summoner. A token summoner also commands summons that were
+   * linked to its actor.
+   * @param {Token|Actor} summoner - Summoner token, or actor
+   * @param {Scene} [scene] - Scene to search; defaults to the token's scene or the viewed scene
+   * @returns {Array<Token>}
+   */
+  getSummons(summoner, scene = null) {
+    const isActor = summoner instanceof Actor;
+    const actorUuid = isActor ? summoner.uuid : summoner.actor?.uuid;
+    scene ??= (isActor ? null : summoner.scene) ?? canvas.scene;
+    if (!scene) return [];
+
+    return scene.tokens
+      .filter(doc => {
+        const link = this.getLink(doc);
+        if (!link) return false;
+        if (!isActor && link.tokenId) return link.tokenId === summoner.id;
+        return link.actorUuid === actorUuid;
+      })
+      .map(doc => doc.object)
+      .filter(token => token);
+  }
+
+  /**
+   * Link a token to its summoner
+   * @param {Token} summon - The summoned token
+   * @param {Token|Actor} summoner - Summoner token, or actor when it is not on the scene
+   * @param {Object} options
+   * @param {string|null} options.concentrationId - Concentration effect the summon depends on
+   * @returns {Promise<boolean>}
+   */
+  async link(summon, summoner, { concentrationId = null } = {}) {
+    const isActor = summoner instanceof Actor;
+    if (!isActor && summoner.id === summon.id) return false;
+    if (!summon.isOwner) {
+      ui.notifications.warn(game.i18n.format('TAM.Summons.NotOwner', { name: summon.name }));
+      return false;
+    }
+
+    const link = {
+      tokenId: isActor ? null : summoner.id,
+      actorUuid: isActor ? summoner.uuid : summoner.actor?.uuid ?? null,
+      concentrationId,
+      round: game.combat?.round ?? null
+    };
+
+    try {
+      await summon.document.setFlag(MODULE_ID, this.FLAG_KEY, link);
+      debugLog(`Linked ${summon.name} to ${summoner.name}:`, link);
+      return true;
+    } catch (error) {
+      console.error('Token Automation Manager | Error linking summon:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a token's summoner link
+   * @param {Token} summon - The summoned token
+   * @returns {Promise<void>}
+   */
+  async unlink(summon) {
+    if (!this.getLink(summon)) return;
+    await summon.document.unsetFlag(MODULE_ID, this.FLAG_KEY);
+    debugLog(`Unlinked ${summon.name}`);
+  }
+
+  /**
+   * Remove the links of all of a summoner's summons
+   * @param {Token|Actor} summoner - Summoner token, or actor
+   * @returns {Promise<number>} Number of tokens unlinked
+   */
+  async unlinkAll(summoner) {
+    const summons = this.getSummons(summoner);
+    await this.updateSummons(summons, { [`flags.${MODULE_ID}.-=${this.FLAG_KEY}`]: null });
+    return summons.length;
+  }
+
+  /**
+   * Turn the action queues and auto-initiative of all of a summoner's summons on or off
+   * @param {Token|Actor} summoner - Summoner token, or actor
+   * @param {boolean} enabled - New state
+   * @returns {Promise<number>} Number of summons changed
+   */
+  async setAutomationEnabled(summoner, enabled) {
+    const { actionQueueManager, tokenManager } = game.tokenAutomation;
+    const summons = this.getSummons(summoner).filter(t => t.isOwner);
+
+    let count = 0;
+    for (const summon of summons) {
+      if (await actionQueueManager.setQueueEnabled(summon, enabled)) count++;
+    }
+    await tokenManager.batchSetAutoInit(summons, enabled);
+
+    debugLog(`${enabled ? 'Enabled' : 'Disabled'} automation for ${count} summon(s) of ${summoner.name}`);
+    return count;
+  }
+
+  /**
+   * Give all of a summoner's summons the same orders. Items are rebound to each summon's
+   * actor, as for imports.
+   * @param {Token|Actor} summoner - Summoner token, or actor
+   * @param {Object} queueData - Queue data as written by ActionQueueManager.getExportData(), or a preset's queue
+   * @param {Object} options
+   * @param {boolean} options.append - Add to each summon's queue instead of replacing it
+   * @returns {Promise<Array<Object>>} One import result per summon, with a token field added
+   */
+  async issueOrders(summoner, queueData, { append = false } = {}) {
+    const queueManager = game.tokenAutomation.actionQueueManager;
+    const results = [];
+
+    for (const summon of this.getSummons(summoner)) {
+      if (!summon.isOwner) {
+        results.push({ token: summon, success: false, count: 0, errors: [{ path: '', message: 'You do not own this token' }], warnings: [] });
+        continue;
+      }
+      const result = await queueManager.importQueueData(summon, queueData, append);
+      results.push({ token: summon, ...result });
+    }
+
+    debugLog(`Issued orders to the summons of ${summoner.name}:`, results);
+    return results;
+  }
+
+  /**
+   * Delete all of a summoner's summons
+   * @param {Token|Actor} summoner - Summoner token, or actor
+   * @returns {Promise<number>} Number of tokens deleted
+   */
+  async dismiss(summoner) {
+    return await this.dismissTokens(this.getSummons(summoner));
+  }
+
+  /**
+   * Delete summoned tokens, grouped by scene
+   * @param {Array<Token|TokenDocument>} summons - Tokens to delete
+   * @returns {Promise<number>}
+   */
+  async dismissTokens(summons) {
+    if (!summons.length) return 0;
+    if (!game.user.isGM && !game.user.can('TOKEN_DELETE')) {
+      ui.notifications.warn('TAM.Summons.CannotDismiss', { localize: true });
+      return 0;
+    }
+
+    let count = 0;
+    for (const [scene, docs] of this.groupByScene(summons)) {
+      const ids = docs.filter(doc => doc.isOwner).map(doc => doc.id);
+      if (!ids.length) continue;
+      await scene.deleteEmbeddedDocuments('Token', ids);
+      count += ids.length;
+    }
+    debugLog(`Dismissed ${count} summon(s)`);
+    return count;
+  }
+
+  /**
+   * Apply one update to several summoned tokens, grouped by scene
+   * @param {Array<Token|TokenDocument>} summons - Tokens to update
+   * @param {Object} changes - Update data
+   */
+  async updateSummons(summons, changes) {
+    for (const [scene, docs] of this.groupByScene(summons)) {
+      const updates = docs.filter(doc => doc.isOwner).map(doc => ({ _id: doc.id, ...changes }));
+      if (updates.length) await scene.updateEmbeddedDocuments('Token', updates);
+    }
+  }
+
+  /**
+   * @param {Array<Token|TokenDocument>} tokens - Tokens
+   * @returns {Map<Scene, Array<TokenDocument>>}
+   */
+  groupByScene(tokens) {
+    const scenes = new Map();
+    for (const token of tokens) {
+      const doc = token.document ?? token;
+      if (!doc.parent) continue;
+      if (!scenes.has(doc.parent)) scenes.set(doc.parent, []);
+      scenes.get(doc.parent).push(doc);
+    }
+    return scenes;
+  }
+
+  /**
+   * Find the token that summoned a newly created token: the actor of dnd5e's summoning
+   * item, else the acting combatant if the creating user owns it and it is on the same side
+   * @param {TokenDocument} tokenDoc - The created token
+   * @param {User} user - The user who created it
+   * @returns {Object|null} {summoner, originUuid}
+   */
+  findSummoner(tokenDoc, user) {
+    const originUuid = tokenDoc.actor?.flags?.dnd5e?.summon?.origin ?? null;
+    const origin = originUuid ? fromUuidSync(originUuid, { strict: false }) : null;
+    if (origin?.actor) {
+      const summoner = origin.actor.token?.object
+        ?? origin.actor.getActiveTokens().find(t => t.scene === tokenDoc.parent)
+        ?? null;
+      if (summoner) return { summoner, originUuid };
+    }
+
+    const combat = game.combat;
+    const acting = combat?.started ? combat.combatant?.token : null;
+    if (!acting?.object || acting.parent !== tokenDoc.parent || acting.id === tokenDoc.id) return null;
+    if (!acting.testUserPermission(user, 'OWNER')) return null;
+    if (acting.disposition !== tokenDoc.disposition) return null;
+
+    return { summoner: acting.object, originUuid: null };
+  }
+
+  /**
+   * Find the concentration effect a new summon depends on: the one started by its summoning
+   * item, or else one the summoner began during this turn
+   * @param {Token} summoner - The summoner
+   * @param {string|null} originUuid - UUID of the summoning item, if known
+   * @returns {ActiveEffect|null}
+   */
+  findConcentration(summoner, originUuid = null) {
+    const status = CONFIG.specialStatusEffects.CONCENTRATING ?? 'concentrating';
+    const effects = summoner.actor?.effects.filter(e => e.statuses.has(status)) ?? [];
+
+    if (originUuid) return effects.find(e => e.origin === originUuid) ?? null;
+    return effects.find(e => !this.turnEffects.has(e.id)) ?? null;
+  }
+
+  /**
+   * Remember which concentration effects the acting combatant had when its turn began
+   */
+  onUpdateCombat(combat, changes) {
+    if (!('turn' in changes || 'round' in changes) || combat !== game.combat) return;
+
+    const status = CONFIG.specialStatusEffects.CONCENTRATING ?? 'concentrating';
+    const effects = combat.combatant?.actor?.effects.filter(e => e.statuses.has(status)) ?? [];
+    this.turnEffects = new Set(effects.map(e => e.id));
+  }
+
+  /**
+   * Link tokens created during a summoner's turn (on the creating client)
+   */
+  async onCreateToken(tokenDoc, options, userId) {
+    if (userId !== game.user.id || !game.settings.get(MODULE_ID, 'autoLinkSummons')) return;
+    if (this.getLink(tokenDoc) || !tokenDoc.object) return;
+
+    const found = this.findSummoner(tokenDoc, game.user);
+    if (!found) return;
+
+    const concentration = this.findConcentration(found.summoner, found.originUuid);
+    if (await this.link(tokenDoc.object, found.summoner, { concentrationId: concentration?.id ?? null })) {
+      ui.notifications.info(game.i18n.format('TAM.Summons.Linked', {
+        name: tokenDoc.name,
+        summoner: found.summoner.name
+      }));
+    }
+  }
+
+  /**
+   * Clean up summons that depended on a concentration effect that ended (active GM only)
+   */
+  async onDeleteActiveEffect(effect) {
+    const actor = effect.parent;
+    if (!(actor instanceof Actor) || !this.isResponsibleClient()) return;
+
+    const summons = this.findLinkedTokens(link => link.concentrationId === effect.id && link.actorUuid === actor.uuid);
+    if (summons.length) await this.cleanUp(summons, actor.name);
+  }
+
+  /**
+   * Clean up the summons of a summoner that drops to 0 HP (active GM only)
+   */
+  async onUpdateActor(actor, changes) {
+    const hp = foundry.utils.getProperty(changes, 'system.attributes.hp.value');
+    if (hp === undefined || actor.system.attributes.hp.value > 0 || !this.isResponsibleClient()) return;
+
+    const tokenIds = new Set(actor.getActiveTokens(false, true).map(doc => doc.id));
+    const summons = this.findLinkedTokens(link => link.actorUuid === actor.uuid || tokenIds.has(link.tokenId));
+    if (summons.length) await this.cleanUp(summons, actor.name);
+  }
+
+  /**
+   * Find linked tokens in every scene
+   * @param {Function} predicate - (link) => boolean
+   * @returns {Array<TokenDocument>}
+   */
+  findLinkedTokens(predicate) {
+    return game.scenes.contents.flatMap(scene => scene.tokens.filter(doc => {
+      const link = this.getLink(doc);
+      return link && predicate(link);
+    }));
+  }
+
+  /**
+   * Apply the Summon Cleanup setting to summons whose summoner lost control of them
+   * @param {Array<TokenDocument>} summons - The summons
+   * @param {string} summonerName - For the notification
+   */
+  async cleanUp(summons, summonerName) {
+    const mode = game.settings.get(MODULE_ID, 'summonCleanup');
+    if (mode === SummonCleanup.NONE) return;
+
+    try {
+      if (mode === SummonCleanup.DISMISS) {
+        await this.dismissTokens(summons);
+      } else {
+        const queueManager = game.tokenAutomation.actionQueueManager;
+        for (const doc of summons) {
+          if (doc.object) await queueManager.setQueueEnabled(doc.object, false);
+        }
+        await this.updateSummons(summons, { [`flags.${MODULE_ID}.-=${this.FLAG_KEY}`]: null });
+      }
+      ui.notifications.info(game.i18n.format(`TAM.Summons.${mode === SummonCleanup.DISMISS ? 'Dismissed' : 'Released'}`, {
+        count: summons.length,
+        summoner: summonerName
+      }));
+    } catch (error) {
+      console.error('Token Automation Manager | Error cleaning up summons:', error);
+    }
+  }
+
+  /**
+   * Whether this client applies cleanup every client sees
+   * @returns {boolean}
+   */
+  isResponsibleClient() {
+    const activeGM = game.users.activeGM ?? game.users.find(u => u.isGM && u.active);
+    return activeGM?.id === game.user.id;
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * Summon Orders - Chat card orders a summoner's owner gives its summons for the round
+ */
+
+import { MODULE_ID, debugLog } from './main.js';
+import { ActionQueueItem, ActionType, MovementActionData } from './action-queue.js';
+import { MemoryKey } from './blackboard.js';
+import { TAMHook } from './module-hooks.js';
+
+/**
+ * Orders a summon can be given. Each one adjusts the summon's own queue for its turns until
+ * the summoner's next turn; summons need a queue for orders to act on.
+ */
+export const SummonOrder = {
+  ATTACK_TARGET: 'attackTarget', // Attacks and moves go for the summoner's owner's target
+  GUARD: 'guard',                // Stand between the summoner and its nearest threat; attack whoever last hurt it
+  HOLD: 'hold',                  // Stay put; other actions run as usual
+  FOLLOW: 'follow',              // Stay next to the summoner; other actions run as usual
+  RETREAT: 'retreat'             // Only move: flee to a rally point or away from enemies
+};
+
+const ORDER_ICONS = {
+  [SummonOrder.ATTACK_TARGET]: 'fa-crosshairs',
+  [SummonOrder.GUARD]: 'fa-shield-alt',
+  [SummonOrder.HOLD]: 'fa-hand-paper',
+  [SummonOrder.FOLLOW]: 'fa-shoe-prints',
+  [SummonOrder.RETREAT]: 'fa-running'
+};
+
+const CARD_TEMPLATE = 'modules/token-automation-manager/templates/summon-orders-card.hbs';
+
+export class SummonOrders {
+  constructor() {
+    this.FLAG_KEY = 'order';
+    this.CARD_FLAG = 'ordersCard';
+  }
+
+  /**
+   * Initialize turn, chat card and queue hooks
+   */
+  init() {
+    Hooks.on('combatTurnChange', this.onCombatTurnChange.bind(this));
+    Hooks.on(TAMHook.PRE_EXECUTE_QUEUE, this.onPreExecuteQueue.bind(this));
+
+    // v13 passes an HTMLElement to its own hook; v12 passes jQuery
+    if (game.release.generation >= 13) {
+      Hooks.on('renderChatMessageHTML', (message, html) => this.onRenderChatMessage(message, html));
+    } else {
+      Hooks.on('renderChatMessage', (message, html) => this.onRenderChatMessage(message, html[0]));
+    }
+    debugLog('Summon Orders initialized');
+  }
+
+  /**
+   * Get the order a summon is following, if it is still in force: orders last until the
+   * summoner's next turn in the same combat
+   * @param {Token|TokenDocument} token - The summon
+   * @returns {Object|null} {type, targetId, summonerId, combatId, round, turn, issuedBy}
+   */
+  getOrder(token) {
+    const doc = token.document ?? token;
+    const order = doc.flags?.[MODULE_ID]?.[this.FLAG_KEY];
+    const combat = game.combat;
+    if (!order || !combat || order.combatId !== combat.id) return null;
+
+    const current = combat.round === order.round && combat.turn >= order.turn;
+    const carried = combat.round === order.round + 1 && combat.turn < order.turn;
+    return current || carried ? order : null;
+  }
+
+  /**
+   * Give an order to some of a summoner's summons
+   * @param {Token} summoner - The summoner
+   * @param {string} type - SummonOrder value
+   * @param {Object} options
+   * @param {Array<Token>} options.summons - Summons to order; defaults to all of them
+   * @param {string|null} options.targetId - Target for ATTACK_TARGET
+   * @returns {Promise<number>} Number of summons ordered
+   */
+  async issue(summoner, type, { summons = null, targetId = null } = {}) {
+    if (!Object.values(SummonOrder).includes(type)) throw new Error(`Unknown order "${type}"`);
+    if (type === SummonOrder.ATTACK_TARGET && !targetId) throw new Error('Attack orders need a target');
+
+    const combat = game.combat;
+    if (!combat?.started) return 0;
+
+    summons ??= game.tokenAutomation.summonManager.getSummons(summoner);
+    const summonerTurn = combat.turns.findIndex(c => c.tokenId === summoner.id);
+    const order = {
+      type,
+      targetId,
+      summonerId: summoner.id,
+      combatId: combat.id,
+      round: combat.round,
+      turn: summonerTurn === -1 ? combat.turn : summonerTurn,
+      issuedBy: game.user.id
+    };
+
+    // Players often command summons they do not own; the GM writes the flag for them
+    const authority = game.tokenAutomation.executionAuthority;
+    let count = 0;
+    for (const summon of summons) {
+      try {
+        if (await authority.updateDocument(summon.document, { [`flags.${MODULE_ID}.${this.FLAG_KEY}`]: order })) count++;
+      } catch (error) {
+        console.error(`Token Automation Manager | Error ordering ${summon.name}:`, error);
+      }
+    }
+
+    debugLog(`${summoner.name} ordered ${count} summon(s):`, order);
+    return count;
+  }
+
+  /**
+   * Adjust a copy of a summon's turn actions to its order
+   * @param {Token} token - The summon
+   * @param {Array<ActionQueueItem>} actions - Turn actions
+   * @returns {Array<ActionQueueItem>} Adjusted actions; the input is returned when there is no order
+   */
+  applyOrder(token, actions) {
+    const order = this.getOrder(token);
+    if (!order) return actions;
+
+    const attackTypes = [ActionType.ATTACK, ActionType.SPELL, ActionType.BONUS_ACTION];
+    // Only the destination changes; the summon's own distance, formation and rally settings stay
+    const moveTo = (data, targetType, targetId) => ({ ...data, targetType, targetId });
+
+    // Guards turn on whoever last hurt their summoner
+    const summoner = canvas.tokens.get(order.summonerId);
+    const guardTarget = order.type === SummonOrder.GUARD && summoner
+      ? game.tokenAutomation.blackboard.get(summoner, MemoryKey.LAST_ATTACKER)
+      : null;
+
+    const adjusted = [];
+    for (const action of actions) {
+      const copy = ActionQueueItem.fromObject(foundry.utils.deepClone(action.toObject()));
+      const isMove = copy.type === ActionType.MOVEMENT;
+      const isAttack = attackTypes.includes(copy.type);
+
+      switch (order.type) {
+        case SummonOrder.ATTACK_TARGET:
+          if (isAttack) copy.data.targetId = order.targetId;
+          if (isMove) copy.data = moveTo(copy.data, 'token', order.targetId);
+          break;
+        case SummonOrder.GUARD:
+          if (isAttack && guardTarget && canvas.tokens.get(guardTarget)) copy.data.targetId = guardTarget;
+          if (isMove) copy.data = moveTo(copy.data, 'guard', order.summonerId);
+          break;
+        case SummonOrder.FOLLOW:
+          if (isMove) copy.data = moveTo(copy.data, 'follow', order.summonerId);
+          break;
+        case SummonOrder.HOLD:
+          if (isMove) continue;
+          break;
+        case SummonOrder.RETREAT:
+          if (!isMove) continue;
+          copy.data = moveTo(copy.data, 'flee', null);
+          break;
+      }
+      adjusted.push(copy);
+    }
+
+    // Orders that move work even without a movement action in the queue
+    const moveTypes = {
+      [SummonOrder.GUARD]: 'guard',
+      [SummonOrder.FOLLOW]: 'follow',
+      [SummonOrder.RETREAT]: 'flee'
+    };
+    if (moveTypes[order.type] && !adjusted.some(a => a.type === ActionType.MOVEMENT)) {
+      adjusted.unshift(new ActionQueueItem({
+        type: ActionType.MOVEMENT,
+        name: game.i18n.localize(`TAM.Orders.${order.type}`),
+        order: -1,
+        data: moveTo({ ...new MovementActionData() }, moveTypes[order.type], order.type === SummonOrder.RETREAT ? null : order.summonerId)
+      }));
+    }
+
+    debugLog(`${token.name} follows order ${order.type}`);
+    return adjusted;
+  }
+
+  /**
+   * Apply a summon's order to the queue it is about to run
+   */
+  onPreExecuteQueue(token, actions) {
+    const adjusted = this.applyOrder(token, actions);
+    if (adjusted !== actions) actions.splice(0, actions.length, ...adjusted);
+  }
+
+  /**
+   * Post the orders card when a summoner's turn begins (on the client that runs its turn)
+   */
+  async onCombatTurnChange(combat, prior, current) {
+    if (combat !== game.combat || !combat.started || !game.settings.get(MODULE_ID, 'summonOrderCards')) return;
+
+    const summoner = combat.combatants.get(current.combatantId)?.token?.object;
+    if (!summoner || !game.tokenAutomation.executionAuthority.isExecutor(summoner)) return;
+
+    const summons = game.tokenAutomation.summonManager.getSummons(summoner);
+    if (summons.length) await this.postCard(summoner, summons);
+  }
+
+  /**
+   * Whisper the orders card to the summoner's owners
+   * @param {Token} summoner - The summoner
+   * @param {Array<Token>} summons - Its summons
+   */
+  async postCard(summoner, summons) {
+    try {
+      const render = foundry.applications.handlebars?.renderTemplate ?? renderTemplate;
+      const content = await render(CARD_TEMPLATE, {
+        summonerName: summoner.name,
+        summons: summons.map(s => ({ id: s.id, name: s.name })),
+        orders: Object.values(SummonOrder).map(type => ({
+          type,
+          icon: ORDER_ICONS[type],
+          label: `TAM.Orders.${type}`
+        }))
+      });
+
+      await ChatMessage.create({
+        content,
+        speaker: ChatMessage.getSpeaker({ token: summoner.document }),
+        whisper: game.users.filter(u => summoner.actor?.testUserPermission(u, 'OWNER')).map(u => u.id),
+        flags: {
+          [MODULE_ID]: {
+            [this.CARD_FLAG]: {
+              summonerId: summoner.id,
+              sceneId: summoner.scene.id,
+              combatId: game.combat.id,
+              round: game.combat.round
+            }
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Token Automation Manager | Error posting summon orders:', error);
+    }
+  }
+
+  /**
+   * Wire up the buttons of an orders card
+   * @param {ChatMessage} message - The message
+   * @param {HTMLElement} html - Rendered message
+   */
+  onRenderChatMessage(message, html) {
+    const card = message.getFlag(MODULE_ID, this.CARD_FLAG);
+    if (!card) return;
+
+    const summoner = game.scenes.get(card.sceneId)?.tokens.get(card.summonerId);
+    const expired = card.combatId !== game.combat?.id || card.round !== game.combat?.round;
+
+    for (const button of html.querySelectorAll('[data-order]')) {
+      button.disabled = expired || !summoner?.isOwner;
+      button.addEventListener('click', event => {
+        event.preventDefault();
+        this.onOrderClick(card, button.dataset.order, html);
+      });
+    }
+  }
+
+  /**
+   * Give the order chosen on a card
+   * @param {Object} card - The card's flag data
+   * @param {string} type - SummonOrder value
+   * @param {HTMLElement} html - Rendered message
+   */
+  async onOrderClick(card, type, html) {
+    const summoner = canvas.tokens?.get(card.summonerId);
+    if (!summoner?.isOwner) {
+      ui.notifications.warn('TAM.Orders.NotOnScene', { localize: true });
+      return;
+    }
+
+    let targetId = null;
+    if (type === SummonOrder.ATTACK_TARGET) {
+      targetId = Array.from(game.user.targets).find(t => t !== summoner)?.id ?? null;
+      if (!targetId) {
+        ui.notifications.warn('TAM.Orders.NoTarget', { localize: true });
+        return;
+      }
+    }
+
+    const chosen = html.querySelector('select[name="summon"]')?.value;
+    const all = game.tokenAutomation.summonManager.getSummons(summoner);
+    const summons = chosen ? all.filter(s => s.id === chosen) : all;
+
+    const count = await this.issue(summoner, type, { summons, targetId });
+    ui.notifications.info(game.i18n.format('TAM.Orders.Issued', {
+      order: game.i18n.localize(`TAM.Orders.${type}`),
+      count,
+      target: targetId ? ` (${canvas.tokens.get(targetId)?.name ?? ''})` : ''
+    }));
+  }
+}
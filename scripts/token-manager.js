@@ -4,25 +4,135 @@
 
 import { MODULE_ID, debugLog } from './main.js';
 
+/**
+ * Where a token's setting comes from, most specific first. Token flags override the
+ * prototype token, which overrides the actor.
+ */
+export const TemplateSource = {
+  TOKEN: 'token',
+  PROTOTYPE: 'prototype',
+  ACTOR: 'actor'
+};
+
+/**
+ * Flags that tokens inherit from their actor until overridden
+ */
+const TEMPLATE_FLAGS = ['autoInitiative', 'actionQueue'];
+
 export class TokenManager {
   constructor() {
     this.FLAG_KEY = 'autoInitiative';
   }
   
+  /**
+   * Initialize template inheritance hooks
+   */
+  init() {
+    Hooks.on('preCreateToken', this.onPreCreateToken.bind(this));
+    Hooks.on('updateActor', this.onUpdateActor.bind(this));
+    debugLog('Token Manager initialized');
+  }
+  
+  /**
+   * Foundry copies prototype token flags onto every new token. Drop unchanged copies
+   * so the token keeps following the prototype instead of a snapshot of it.
+   */
+  onPreCreateToken(tokenDoc, data, options, userId) {
+    const prototypeFlags = this.getBaseActor(tokenDoc)?.prototypeToken?.flags?.[MODULE_ID];
+    if (!prototypeFlags) return;
+    
+    const changes = {};
+    for (const key of TEMPLATE_FLAGS) {
+      const value = tokenDoc.flags?.[MODULE_ID]?.[key];
+      if (value === undefined || prototypeFlags[key] === undefined) continue;
+      if (foundry.utils.objectsEqual({ value }, { value: prototypeFlags[key] })) {
+        changes[`flags.${MODULE_ID}.-=${key}`] = null;
+      }
+    }
+    
+    if (Object.keys(changes).length) tokenDoc.updateSource(changes);
+  }
+  
+  /**
+   * Refresh placed tokens when an actor's template changes
+   */
+  onUpdateActor(actor, changes) {
+    const flags = changes.flags?.[MODULE_ID] ?? changes.prototypeToken?.flags?.[MODULE_ID];
+    if (!flags) return;
+    
+    canvas.tokens?.placeables
+      .filter(t => t.document.actorId === actor.id)
+      .forEach(t => t.refresh());
+  }
+  
+  /**
+   * Get the world actor a token was placed from, even when the token is unlinked
+   * @param {Token|TokenDocument} token - The token
+   * @returns {Actor|null}
+   */
+  getBaseActor(token) {
+    const doc = token.document ?? token;
+    return doc.baseActor ?? game.actors.get(doc.actorId) ?? null;
+  }
+  
+  /**
+   * Read a module flag from the token, falling back to its prototype token and actor
+   * @param {Token|TokenDocument} token - The token
+   * @param {string} key - Flag key
+   * @returns {Object} {source, value}; source is a TemplateSource or null when unset
+   */
+  resolveFlag(token, key) {
+    const doc = token.document ?? token;
+    
+    const own = doc.flags?.[MODULE_ID]?.[key];
+    if (own !== undefined && own !== null) return { source: TemplateSource.TOKEN, value: own };
+    
+    const actor = this.getBaseActor(doc);
+    const prototype = actor?.prototypeToken?.flags?.[MODULE_ID]?.[key];
+    if (prototype !== undefined && prototype !== null) return { source: TemplateSource.PROTOTYPE, value: prototype };
+    
+    const template = actor?.flags?.[MODULE_ID]?.[key];
+    if (template !== undefined && template !== null) return { source: TemplateSource.ACTOR, value: template };
+    
+    return { source: null, value: undefined };
+  }
+  
   /**
    * Check if a token has auto-initiative enabled
-   * @param {Token} token - The token to check
+   * @param {Token|TokenDocument} token - The token to check
    * @returns {boolean} True if auto-initiative is enabled
    */
   isAutoInitEnabled(token) {
     try {
-      return token.document.getFlag(MODULE_ID, this.FLAG_KEY) === true;
+      return this.resolveFlag(token, this.FLAG_KEY).value === true;
     } catch (error) {
       console.error('Token Automation Manager | Error checking auto-init flag:', error);
       return false;
     }
   }
   
+  /**
+   * Set the auto-initiative default for every token placed from an actor
+   * @param {Actor} actor - World actor
+   * @param {boolean|null} enabled - New default; null removes it
+   * @returns {Promise<void>}
+   */
+  async setTemplateAutoInit(actor, enabled) {
+    if (enabled === null) await actor.unsetFlag(MODULE_ID, this.FLAG_KEY);
+    else await actor.setFlag(MODULE_ID, this.FLAG_KEY, enabled);
+    debugLog(`Auto-initiative template for ${actor.name}: ${enabled}`);
+  }
+  
+  /**
+   * Remove a token's own auto-initiative setting so it follows its actor again
+   * @param {Token} token - The token
+   * @returns {Promise<void>}
+   */
+  async clearAutoInitOverride(token) {
+    await token.document.unsetFlag(MODULE_ID, this.FLAG_KEY);
+    token.refresh();
+  }
+  
   /**
    * Toggle auto-initiative for a token
    * @param {Token} token - The token to toggle
@@ -89,8 +199,8 @@ export class TokenManager {
     
     return scene.tokens
       .filter(tokenDoc => {
-        // Check if token has auto-init flag
-        const hasFlag = tokenDoc.getFlag(MODULE_ID, this.FLAG_KEY) === true;
+        // Check if token has auto-init flag, directly or from its actor
+        const hasFlag = this.isAutoInitEnabled(tokenDoc);
         
         // Check if current user has permission to control the token
         const hasPermission = tokenDoc.isOwner || game.user.isGM;
@@ -110,7 +220,7 @@ export class TokenManager {
     
     return canvas.scene.tokens
       .filter(tokenDoc => {
-        const hasFlag = tokenDoc.getFlag(MODULE_ID, this.FLAG_KEY) === true;
+        const hasFlag = this.isAutoInitEnabled(tokenDoc);
         const isControlled = tokenDoc.isOwner;
         return hasFlag && isControlled;
       })
@@ -146,7 +256,8 @@ export class TokenManager {
   }
   
   /**
-   * Clear auto-initiative flag from all tokens in a scene
+   * Turn auto-initiative off for every token in a scene. Token overrides are removed; tokens
+   * that would still inherit it from their prototype token or actor get an explicit false.
    * @param {Scene} scene - The scene to clear (defaults to current scene)
    * @returns {Promise<void>}
    */
@@ -154,11 +265,15 @@ export class TokenManager {
     if (!scene) return;
     
     const updates = scene.tokens
-      .filter(tokenDoc => tokenDoc.getFlag(MODULE_ID, this.FLAG_KEY) === true)
-      .map(tokenDoc => ({
-        _id: tokenDoc.id,
-        [`flags.${MODULE_ID}.-=${this.FLAG_KEY}`]: null
-      }));
+      .filter(tokenDoc => this.resolveFlag(tokenDoc, this.FLAG_KEY).value === true)
+      .map(tokenDoc => {
+        const actor = this.getBaseActor(tokenDoc);
+        const inherited = actor?.prototypeToken?.flags?.[MODULE_ID]?.[this.FLAG_KEY]
+          ?? actor?.flags?.[MODULE_ID]?.[this.FLAG_KEY];
+        return inherited === true
+          ? { _id: tokenDoc.id, [`flags.${MODULE_ID}.${this.FLAG_KEY}`]: false }
+          : { _id: tokenDoc.id, [`flags.${MODULE_ID}.-=${this.FLAG_KEY}`]: null };
+      });
     
     if (updates.length > 0) {
       await scene.updateEmbeddedDocuments('Token', updates);
@@ -0,0 +1,319 @@
+/**
+ * Turn Approval - Shows the planned turn to its owner, who approves, retargets, skips or
+ * plays it by hand before anything runs
+ */
+
+import { MODULE_ID, debugLog } from './main.js';
+import { ActionQueueItem, ActionType } from './action-queue.js';
+
+/**
+ * What happens to a turn waiting for approval
+ */
+export const ApprovalDecision = {
+  APPROVE: 'approve', // Run the planned turn
+  SKIP: 'skip',       // Run nothing and end the turn
+  MANUAL: 'manual',   // Run nothing; the owner plays the turn by hand
+  EXPIRED: 'expired', // The turn ended before anyone decided; never a default
+  STOPPED: 'stopped'  // Automation was stopped while waiting; never a default
+};
+
+/**
+ * Card buttons. "retarget" is not a decision: it changes the plan and keeps waiting.
+ */
+const CARD_BUTTONS = [
+  { decision: 'approve', icon: 'fa-check', label: 'TAM.Approval.approve' },
+  { decision: 'retarget', icon: 'fa-crosshairs', label: 'TAM.Approval.Retarget' },
+  { decision: 'skip', icon: 'fa-forward', label: 'TAM.Approval.skip' },
+  { decision: 'manual', icon: 'fa-hand-pointer', label: 'TAM.Approval.manual' }
+];
+
+const DECISION_ICONS = {
+  approve: 'fa-check',
+  skip: 'fa-forward',
+  manual: 'fa-hand-pointer',
+  expired: 'fa-hourglass-end',
+  stopped: 'fa-stop'
+};
+
+const CARD_TEMPLATE = 'modules/token-automation-manager/templates/turn-approval-card.hbs';
+
+export class TurnApproval {
+  constructor() {
+    this.requests = new Map(); // Request ID -> turn waiting for its owner on this client
+    this.CARD_FLAG = 'approvalCard';
+  }
+
+  /**
+   * Initialize turn and chat card hooks
+   */
+  init() {
+    // A turn that ends while its card is open is no longer the owner's to approve
+    Hooks.on('combatTurnChange', (combat, prior, current) => {
+      for (const request of this.requests.values()) {
+        if (request.combatId !== combat.id || request.combatantId !== current.combatantId) {
+          this.decide(request.id, ApprovalDecision.EXPIRED);
+        }
+      }
+    });
+    Hooks.on('deleteCombat', combat => {
+      for (const request of this.requests.values()) {
+        if (request.combatId === combat.id) this.decide(request.id, ApprovalDecision.EXPIRED);
+      }
+    });
+
+    // v13 passes an HTMLElement to its own hook; v12 passes jQuery
+    if (game.release.generation >= 13) {
+      Hooks.on('renderChatMessageHTML', (message, html) => this.onRenderChatMessage(message, html));
+    } else {
+      Hooks.on('renderChatMessage', (message, html) => this.onRenderChatMessage(message, html[0]));
+    }
+    debugLog('Turn Approval initialized');
+  }
+
+  /**
+   * Whether turns run by this client wait for approval
+   * @returns {boolean}
+   */
+  get enabled() {
+    return game.settings.get(MODULE_ID, 'turnApproval');
+  }
+
+  /**
+   * Plan a turn and whisper it to this client's user, then wait for a decision. Without
+   * one, the configured default is applied once the timeout passes. A turn that cannot be
+   * planned runs without approval.
+   * @param {Token} token - The acting token
+   * @param {Array<ActionQueueItem>} actions - Turn actions
+   * @param {Object} options
+   * @param {Combat} options.combat - The combat whose turn it is
+   * @param {Combatant} options.combatant - The combatant taking the turn
+   * @returns {Promise<Array<ActionQueueItem>|null>} Actions to run, or null when the turn is not run
+   */
+  async request(token, actions, { combat = game.combat, combatant = combat?.combatant } = {}) {
+    const request = {
+      id: foundry.utils.randomID(),
+      token,
+      actions,
+      plan: null,
+      messageId: null,
+      combatId: combat?.id ?? null,
+      combatantId: combatant?.id ?? null,
+      timer: null,
+      preview: null
+    };
+    try {
+      request.plan = await game.tokenAutomation.actionExecutor.planQueue(token, actions);
+    } catch (error) {
+      console.error(`Token Automation Manager | Error planning ${token.name}'s turn for approval; running it unapproved:`, error);
+      return actions;
+    }
+
+    const decided = new Promise(resolve => { request.resolve = resolve; });
+    this.requests.set(request.id, request);
+
+    try {
+      const message = await ChatMessage.create({
+        content: await this.renderCard(request),
+        speaker: ChatMessage.getSpeaker({ token: token.document }),
+        whisper: [game.user.id],
+        flags: { [MODULE_ID]: { [this.CARD_FLAG]: { requestId: request.id, tokenId: token.id } } }
+      });
+      request.messageId = message?.id ?? null;
+    } catch (error) {
+      console.error('Token Automation Manager | Error posting turn approval:', error);
+      this.requests.delete(request.id);
+      return actions;
+    }
+
+    this.drawPreview(request);
+    this.startTimer(request);
+    game.tokenAutomation.executionAuthority.publishStatus(token, { state: 'awaiting', step: 0, executed: 0 });
+    debugLog(`Waiting for approval of ${token.name}'s turn`);
+
+    const decision = await decided;
+    return decision === ApprovalDecision.APPROVE ? request.actions : null;
+  }
+
+  /**
+   * Settle a waiting turn
+   * @param {string} requestId - The request
+   * @param {string} decision - ApprovalDecision value
+   */
+  async decide(requestId, decision) {
+    const request = this.requests.get(requestId);
+    if (!request) return;
+
+    this.requests.delete(requestId);
+    clearTimeout(request.timer);
+    this.clearPreview(request);
+    debugLog(`Turn of ${request.token.name}: ${decision}`);
+
+    if (decision !== ApprovalDecision.APPROVE) {
+      game.tokenAutomation.executionAuthority.publishStatus(request.token, { state: 'aborted' });
+    }
+
+    try {
+      await game.messages.get(request.messageId)?.update({ content: await this.renderCard(request, decision) });
+
+      // Skipping hands the turn on, if it is still this token's
+      const combat = game.combat;
+      if (decision === ApprovalDecision.SKIP && combat?.id === request.combatId
+        && combat.combatant?.id === request.combatantId) {
+        await combat.nextTurn();
+      }
+    } catch (error) {
+      console.error('Token Automation Manager | Error settling turn approval:', error);
+    } finally {
+      request.resolve(decision);
+    }
+  }
+
+  /**
+   * Settle waiting turns as stopped, so a later click cannot run them
+   * @param {string} [tokenId] - Only this token's turn
+   */
+  cancel(tokenId = null) {
+    for (const request of this.requests.values()) {
+      if (!tokenId || request.token.id === tokenId) this.decide(request.id, ApprovalDecision.STOPPED);
+    }
+  }
+
+  /**
+   * Point the turn's attacks at this user's current target and plan it again
+   * @param {string} requestId - The request
+   */
+  async retarget(requestId) {
+    const request = this.requests.get(requestId);
+    if (!request) return;
+
+    const target = Array.from(game.user.targets).find(t => t.id !== request.token.id);
+    if (!target) {
+      ui.notifications.warn('TAM.Approval.NoTarget', { localize: true });
+      return;
+    }
+
+    const attackTypes = [ActionType.ATTACK, ActionType.SPELL, ActionType.BONUS_ACTION];
+    const actions = request.actions.map(action => {
+      const copy = ActionQueueItem.fromObject(foundry.utils.deepClone(action.toObject()));
+      if (attackTypes.includes(copy.type)) copy.data.targetId = target.id;
+      return copy;
+    });
+    let plan;
+    try {
+      plan = await game.tokenAutomation.actionExecutor.planQueue(request.token, actions);
+    } catch (error) {
+      console.error(`Token Automation Manager | Error planning ${request.token.name}'s retargeted turn:`, error);
+      return;
+    }
+    
+    // The turn may have been settled while it was being planned
+    if (!this.requests.has(requestId)) return;
+    request.plan = plan;
+    request.actions = actions;
+
+    // The owner may have been called away by the change; give them the full time again
+    this.startTimer(request);
+    this.drawPreview(request);
+    await game.messages.get(request.messageId)?.update({ content: await this.renderCard(request) });
+    debugLog(`${request.token.name}'s turn retargeted to ${target.name}`);
+  }
+
+  /**
+   * (Re)start the timeout after which the default decision applies
+   * @param {Object} request - The request
+   */
+  startTimer(request) {
+    clearTimeout(request.timer);
+    const timeout = game.settings.get(MODULE_ID, 'approvalTimeout');
+    if (timeout > 0) {
+      request.timer = setTimeout(() => this.decide(request.id, game.settings.get(MODULE_ID, 'approvalDefault')), timeout * 1000);
+    }
+  }
+
+  /**
+   * Render the card for a request
+   * @param {Object} request - The request
+   * @param {string|null} decision - ApprovalDecision value once settled
+   * @returns {Promise<string>}
+   */
+  async renderCard(request, decision = null) {
+    const timeout = game.settings.get(MODULE_ID, 'approvalTimeout');
+    const fallback = game.i18n.localize(`TAM.Approval.${game.settings.get(MODULE_ID, 'approvalDefault')}`);
+
+    const render = foundry.applications.handlebars?.renderTemplate ?? renderTemplate;
+    return render(CARD_TEMPLATE, {
+      tokenName: request.token.name,
+      steps: request.plan.steps.map(step => ({
+        ...step,
+        statusLabel: `TAM.Plan.Status.${step.status}`,
+        failed: step.success === false
+      })),
+      buttons: CARD_BUTTONS,
+      hint: timeout > 0
+        ? game.i18n.format('TAM.Approval.Timeout', { seconds: timeout, decision: fallback })
+        : game.i18n.localize('TAM.Approval.NoTimeout'),
+      decision,
+      decisionIcon: DECISION_ICONS[decision],
+      decisionLabel: `TAM.Approval.Decided.${decision}`
+    });
+  }
+
+  /**
+   * Wire up the buttons of an approval card. They only work on the client holding the turn.
+   * @param {ChatMessage} message - The message
+   * @param {HTMLElement} html - Rendered message
+   */
+  onRenderChatMessage(message, html) {
+    const card = message.getFlag(MODULE_ID, this.CARD_FLAG);
+    if (!card) return;
+
+    const waiting = this.requests.has(card.requestId);
+    for (const button of html.querySelectorAll('[data-decision]')) {
+      button.disabled = !waiting;
+      button.addEventListener('click', event => {
+        event.preventDefault();
+        const { decision } = button.dataset;
+        if (decision === 'retarget') this.retarget(card.requestId);
+        else this.decide(card.requestId, decision);
+      });
+    }
+  }
+
+  /**
+   * Draw the planned moves of a waiting turn
+   * @param {Object} request - The request
+   */
+  drawPreview(request) {
+    this.clearPreview(request);
+
+    const { token } = request;
+    const destinations = request.plan.steps.filter(step => step.destination).map(step => step.destination);
+    if (!destinations.length) return;
+
+    const graphics = new PIXI.Graphics();
+    graphics.lineStyle(3, 0x3399ff, 0.8);
+    graphics.moveTo(token.center.x, token.center.y);
+    for (const destination of destinations) {
+      graphics.lineTo(destination.x + token.w / 2, destination.y + token.h / 2);
+    }
+
+    const last = destinations[destinations.length - 1];
+    graphics.beginFill(0x3399ff, 0.25);
+    graphics.drawRect(last.x, last.y, token.w, token.h);
+    graphics.endFill();
+
+    canvas.interface.grid.addChild(graphics);
+    request.preview = graphics;
+  }
+
+  /**
+   * Remove a request's movement preview
+   * @param {Object} request - The request
+   */
+  clearPreview(request) {
+    if (!request.preview) return;
+    request.preview.parent?.removeChild(request.preview);
+    request.preview.destroy();
+    request.preview = null;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Turn Budget - Tracks a token's action economy for the current turn
+ */
+
+import { ActionCost } from './action-queue.js';
+
+export class TurnBudget {
+  /**
+   * @param {number} movement - Movement available this turn (scene units)
+   */
+  constructor(movement = 30) {
+    this.action = 1;
+    this.bonusAction = 1;
+    this.reaction = 1;
+    this.movement = movement;
+    this.movementMax = movement;
+  }
+  
+  /**
+   * Create a fresh budget for a token
+   * @param {Token} token - The token
+   * @returns {TurnBudget}
+   */
+  static forToken(token) {
+    const movementSystem = game.tokenAutomation?.movementSystem;
+    const movement = movementSystem ? movementSystem.getAvailableMovement(token) : 30;
+    return new TurnBudget(movement);
+  }
+  
+  /**
+   * Check whether a cost can be paid
+   * @param {string} cost - ActionCost value
+   * @param {number} amount - Movement distance for movement costs
+   * @returns {boolean}
+   */
+  canAfford(cost, amount = 0) {
+    switch (cost) {
+      case ActionCost.FREE:
+        return true;
+      case ActionCost.MOVEMENT:
+        return this.movement > 0 && this.movement >= amount;
+      default:
+        return (this[cost] ?? 0) > 0;
+    }
+  }
+  
+  /**
+   * Pay a cost
+   * @param {string} cost - ActionCost value
+   * @param {number} amount - Movement distance for movement costs
+   */
+  spend(cost, amount = 0) {
+    switch (cost) {
+      case ActionCost.FREE:
+        return;
+      case ActionCost.MOVEMENT:
+        this.movement = Math.max(0, this.movement - amount);
+        return;
+      default:
+        if (this[cost] > 0) this[cost]--;
+    }
+  }
+  
+  /**
+   * Convert to plain object for status display
+   */
+  toObject() {
+    return {
+      action: this.action,
+      bonusAction: this.bonusAction,
+      reaction: this.reaction,
+      movement: this.movement,
+      movementMax: this.movementMax
+    };
+  }
+}
@@ -3,6 +3,7 @@
  */
 
 import { MODULE_ID, debugLog } from './main.js';
+import { ActionQueueEditor } from './action-queue-editor.js';
 
 export class UIElements {
   constructor() {
@@ -61,11 +62,147 @@ export class UIElements {
       button.toggleClass('active', newState);
     });
     
-    // Insert button into HUD (left column, near top)
+    // Action queue editor button
+    const queueManager = game.tokenAutomation?.actionQueueManager;
+    const queueButton = $(`
+      <div class="control-icon ${queueManager?.isQueueEnabled(token) ? 'active' : ''}"
+           title="${game.i18n.localize('TAM.HUD.OpenActionQueue')}"
+           data-action="open-action-queue">
+        <i class="fas fa-list-ol"></i>
+      </div>
+    `);
+    
+    queueButton.on('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      
+      ActionQueueEditor.open(token);
+    });
+    
+    // Summon command button, lit while the token has summons
+    const summonCount = game.tokenAutomation?.summonManager?.getSummons(token).length ?? 0;
+    const summonButton = $(`
+      <div class="control-icon ${summonCount ? 'active' : ''}"
+           title="${game.i18n.localize('TAM.HUD.CommandSummons')}"
+           data-action="command-summons">
+        <i class="fas fa-hat-wizard"></i>
+      </div>
+    `);
+    
+    summonButton.on('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      
+      this.showSummonCommands(token);
+    });
+    
+    // Insert buttons into HUD (left column, near top)
     const col = html.find('.col.left');
+    col.prepend(summonButton);
+    col.prepend(queueButton);
     col.prepend(button);
     
-    debugLog(`Added auto-init button to ${token.name} HUD`);
+    debugLog(`Added auto-init, action queue and summon buttons to ${token.name} HUD`);
+  }
+  
+  /**
+   * Ask what to do with a summoner's summons, then do it
+   * @param {Token} token - The summoner
+   */
+  async showSummonCommands(token) {
+    const summonManager = game.tokenAutomation.summonManager;
+    const summons = summonManager.getSummons(token);
+    const presets = await game.tokenAutomation.queuePresets.getPresets();
+    const escape = Handlebars.escapeExpression;
+    
+    const list = summons.length
+      ? `<ul>${summons.map(s => `<li>${escape(s.name)}</li>`).join('')}</ul>`
+      : `<p class="notes">${game.i18n.localize('TAM.Summons.None')}</p>`;
+    const presetOptions = presets
+      .map(p => `<option value="${p.source}.${p.id}">${escape(p.name)}</option>`)
+      .join('');
+    
+    const read = (action) => (event, button) => ({
+      action,
+      preset: button.form.elements.preset?.value ?? '',
+      append: button.form.elements.append?.checked ?? false
+    });
+    
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: game.i18n.format('TAM.Summons.Title', { name: token.name }) },
+      position: { width: 420 },
+      content: `
+        ${list}
+        <div class="form-group">
+          <label>${game.i18n.localize('TAM.Summons.Orders')}</label>
+          <select name="preset">${presetOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize('TAM.Presets.Append')}</label>
+          <input type="checkbox" name="append">
+        </div>
+        <p class="notes">${game.i18n.localize('TAM.Summons.LinkHint')}</p>
+      `,
+      buttons: [
+        { action: 'link', label: 'TAM.Summons.LinkControlled', icon: 'fas fa-link', callback: read('link') },
+        { action: 'enable', label: 'TAM.Summons.EnableAutomation', icon: 'fas fa-play', callback: read('enable') },
+        { action: 'disable', label: 'TAM.Summons.DisableAutomation', icon: 'fas fa-pause', callback: read('disable') },
+        { action: 'orders', label: 'TAM.Summons.IssueOrders', icon: 'fas fa-bullhorn', callback: read('orders') },
+        { action: 'unlink', label: 'TAM.Summons.UnlinkAll', icon: 'fas fa-unlink', callback: read('unlink') },
+        { action: 'dismiss', label: 'TAM.Summons.Dismiss', icon: 'fas fa-skull', callback: read('dismiss') }
+      ],
+      rejectClose: false
+    });
+    if (!choice) return;
+    
+    switch (choice.action) {
+      case 'link': {
+        const controlled = canvas.tokens.controlled.filter(t => t !== token);
+        let count = 0;
+        for (const summon of controlled) {
+          if (await summonManager.link(summon, token)) count++;
+        }
+        ui.notifications.info(game.i18n.format('TAM.Summons.LinkedCount', { count, summoner: token.name }));
+        break;
+      }
+      case 'enable':
+      case 'disable': {
+        const count = await summonManager.setAutomationEnabled(token, choice.action === 'enable');
+        ui.notifications.info(game.i18n.format('TAM.Summons.AutomationChanged', { count }));
+        break;
+      }
+      case 'orders': {
+        const [source, id] = choice.preset.split('.');
+        const preset = id ? await game.tokenAutomation.queuePresets.getPreset(id, source) : null;
+        if (!preset) {
+          ui.notifications.warn('TAM.Summons.NoPreset', { localize: true });
+          break;
+        }
+        const results = await summonManager.issueOrders(token, preset.queue, { append: choice.append });
+        const applied = results.filter(r => r.success);
+        ui.notifications.info(game.i18n.format('TAM.Summons.OrdersIssued', { name: preset.name, count: applied.length }));
+        for (const result of results.filter(r => !r.success)) {
+          ui.notifications.error(game.i18n.format('TAM.Presets.ApplyFailed', {
+            token: result.token.name,
+            message: result.errors[0]?.message ?? game.i18n.localize('TAM.ActionQueue.ImportError')
+          }));
+        }
+        applied.forEach(r => ActionQueueEditor.reload(r.token));
+        break;
+      }
+      case 'unlink':
+        await summonManager.unlinkAll(token);
+        break;
+      case 'dismiss': {
+        if (!summons.length) break;
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+          window: { title: 'TAM.Summons.Dismiss' },
+          content: `<p>${game.i18n.format('TAM.Summons.DismissConfirm', { count: summons.length, name: token.name })}</p>`
+        });
+        if (confirmed) await summonManager.dismiss(token);
+        break;
+      }
+    }
   }
   
   /**